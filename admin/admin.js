@@ -0,0 +1,685 @@
+/**
+ * Curation tool for the Solidarity Project exhibition
+ * Add, edit, reorder and hide catalogue entries, crop and rotate their photos and
+ * preview the result in the real CardDeck. Saving goes through tools/dev-server.js,
+ * which writes painting_list.jsonl and the photos under their NNN.jpg names.
+ */
+
+const CATALOGUE_API = 'api/catalogue';
+
+// translateDocument() gives every page the exhibition's title
+const CURATION_TITLE = document.title;
+
+// Photos are saved as JPEGs no larger than this on their long side
+const PHOTO_MAX_EDGE = 2400;
+const PHOTO_QUALITY = 0.9;
+// Width of the editing canvas in CSS pixels
+const PHOTO_EDITOR_WIDTH = 320;
+
+// New photos are named "069.jpg" and "069_desc.jpg"
+const NUMBERED_IMAGE = /^(\d{3,})(_desc)?\.jpg$/;
+
+// Key order of the catalogue's lines; keys the tool doesn't know keep their place after these
+const ENTRY_KEY_ORDER = ['id', 'image', 'descriptionImage', 'title', 'painter', 'artists', 'description', 'alt', 'tags', 'hidden', 'consent', 'translations'];
+
+function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Could not load ${src}`));
+    image.src = src;
+  });
+}
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function splitList(text) {
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function orderEntry(entry) {
+  const keys = [...ENTRY_KEY_ORDER.filter(key => key in entry), ...Object.keys(entry).filter(key => !ENTRY_KEY_ORDER.includes(key))];
+  return Object.fromEntries(keys.map(key => [key, entry[key]]));
+}
+
+// A photo being rotated and cropped; crop is in the rotated photo's pixels
+class PhotoEdit {
+  constructor(image, isChanged) {
+    this.image = image;
+    this.rotation = 0; // Quarter turns clockwise
+    this.crop = null;
+    this.isChanged = isChanged;
+    this.objectUrl = null;
+  }
+
+  get width() {
+    return this.rotation % 2 ? this.image.naturalHeight : this.image.naturalWidth;
+  }
+
+  get height() {
+    return this.rotation % 2 ? this.image.naturalWidth : this.image.naturalHeight;
+  }
+
+  area() {
+    return this.crop || { x: 0, y: 0, width: this.width, height: this.height };
+  }
+
+  rotate(turns) {
+    this.rotation = (this.rotation + turns + 4) % 4;
+    this.crop = null;
+    this.changed();
+  }
+
+  setCrop(crop) {
+    this.crop = crop;
+    this.changed();
+  }
+
+  changed() {
+    this.isChanged = true;
+    if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+    this.objectUrl = null;
+  }
+
+  // Draw `area` of the rotated photo onto `canvas` at `scale`
+  draw(canvas, area, scale) {
+    canvas.width = Math.max(1, Math.round(area.width * scale));
+    canvas.height = Math.max(1, Math.round(area.height * scale));
+
+    const ctx = canvas.getContext('2d');
+    const { naturalWidth, naturalHeight } = this.image;
+    ctx.translate((this.width / 2 - area.x) * scale, (this.height / 2 - area.y) * scale);
+    ctx.rotate(this.rotation * Math.PI / 2);
+    ctx.drawImage(this.image, -naturalWidth * scale / 2, -naturalHeight * scale / 2, naturalWidth * scale, naturalHeight * scale);
+  }
+
+  toBlob() {
+    const area = this.area();
+    const canvas = document.createElement('canvas');
+    this.draw(canvas, area, Math.min(1, PHOTO_MAX_EDGE / Math.max(area.width, area.height)));
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the photo'))), 'image/jpeg', PHOTO_QUALITY);
+    });
+  }
+
+  // The edited photo as a URL the preview deck can show before it's saved
+  async previewUrl() {
+    if (!this.objectUrl) this.objectUrl = URL.createObjectURL(await this.toBlob());
+    return this.objectUrl;
+  }
+}
+
+// One photo slot of the form: drop or pick a file, rotate, drag a crop rectangle
+class PhotoEditor {
+  constructor(element, tool) {
+    this.editor = element;
+    this.tool = tool;
+    this.field = element.dataset.photoEditor;
+    this.canvas = element.querySelector('[data-photo-canvas]');
+    this.drop = element.querySelector('[data-photo-drop]');
+    this.fileInput = element.querySelector('[data-photo-file]');
+    this.nameLabel = element.querySelector('[data-photo-name]');
+
+    this.edit = null;
+    this.scale = 1;
+    this.cropStart = null;
+
+    this.init();
+  }
+
+  init() {
+    this.fileInput.addEventListener('change', () => {
+      if (this.fileInput.files[0]) this.useFile(this.fileInput.files[0]);
+      this.fileInput.value = '';
+    });
+
+    this.editor.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.editor.classList.add('photo-editor--dragover');
+    });
+    this.editor.addEventListener('dragleave', () => this.editor.classList.remove('photo-editor--dragover'));
+    this.editor.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.editor.classList.remove('photo-editor--dragover');
+      const file = Array.from(e.dataTransfer.files).find(f => f.type.startsWith('image/'));
+      if (file) this.useFile(file);
+    });
+
+    this.editor.querySelectorAll('[data-photo-rotate]').forEach(button => {
+      button.addEventListener('click', () => this.rotate(Number(button.dataset.photoRotate)));
+    });
+    this.editor.querySelector('[data-photo-reset]').addEventListener('click', () => this.resetCrop());
+
+    this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+  }
+
+  // Show the selected item's photo: its pending edit, or the saved file, or nothing yet
+  async show(item) {
+    this.item = item;
+    const name = item.entry[this.field];
+    this.nameLabel.textContent = name ? `(${name})` : '';
+    this.edit = item.edits[this.field] || null;
+
+    if (!this.edit && name && !item.isNew) {
+      try {
+        this.edit = new PhotoEdit(await loadImageElement(`${PAINTINGS_DIR}/${name}`), false);
+        item.edits[this.field] = this.edit;
+      } catch (error) {
+        console.warn(error);
+      }
+      // Another item may have been selected while the photo loaded
+      if (this.item !== item) return;
+    }
+
+    this.render();
+  }
+
+  async useFile(file) {
+    if (!this.item) return;
+    const url = URL.createObjectURL(file);
+
+    try {
+      this.edit = new PhotoEdit(await loadImageElement(url), true);
+    } catch (error) {
+      this.tool.announce('Kuvaa ei voitu avata.');
+      return;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+
+    this.tool.setPhoto(this.item, this.field, this.edit);
+    this.nameLabel.textContent = `(${this.item.entry[this.field]})`;
+    this.render();
+  }
+
+  rotate(turns) {
+    if (!this.edit) return;
+    this.edit.rotate(turns);
+    this.tool.markDirty(this.item);
+    this.render();
+  }
+
+  resetCrop() {
+    if (!this.edit || !this.edit.crop) return;
+    this.edit.setCrop(null);
+    this.tool.markDirty(this.item);
+    this.render();
+  }
+
+  render() {
+    const hasPhoto = Boolean(this.edit);
+    this.canvas.hidden = !hasPhoto;
+    this.drop.hidden = hasPhoto;
+    this.editor.querySelectorAll('[data-photo-rotate], [data-photo-reset]').forEach(button => {
+      button.disabled = !hasPhoto;
+    });
+    if (!hasPhoto) return;
+
+    const { width, height } = this.edit;
+    this.scale = PHOTO_EDITOR_WIDTH / width;
+    this.edit.draw(this.canvas, { x: 0, y: 0, width, height }, this.scale);
+
+    // Dim everything outside the crop
+    const crop = this.edit.crop;
+    if (crop) {
+      const ctx = this.canvas.getContext('2d');
+      const s = this.scale;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+      ctx.beginPath();
+      ctx.rect(0, 0, this.canvas.width, this.canvas.height);
+      ctx.rect(crop.x * s, crop.y * s, crop.width * s, crop.height * s);
+      ctx.fill('evenodd');
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(crop.x * s, crop.y * s, crop.width * s, crop.height * s);
+    }
+  }
+
+  // Pointer position in the rotated photo's pixels, kept inside the photo
+  photoPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const ratio = this.canvas.width / rect.width / this.scale;
+    return {
+      x: Math.max(0, Math.min(this.edit.width, (e.clientX - rect.left) * ratio)),
+      y: Math.max(0, Math.min(this.edit.height, (e.clientY - rect.top) * ratio))
+    };
+  }
+
+  handlePointerDown(e) {
+    if (!this.edit || e.button !== 0) return;
+    this.cropStart = this.photoPoint(e);
+    this.canvas.setPointerCapture(e.pointerId);
+  }
+
+  handlePointerMove(e) {
+    if (!this.cropStart) return;
+    const point = this.photoPoint(e);
+
+    this.edit.crop = {
+      x: Math.round(Math.min(point.x, this.cropStart.x)),
+      y: Math.round(Math.min(point.y, this.cropStart.y)),
+      width: Math.round(Math.abs(point.x - this.cropStart.x)),
+      height: Math.round(Math.abs(point.y - this.cropStart.y))
+    };
+    this.render();
+  }
+
+  handlePointerUp() {
+    if (!this.cropStart) return;
+    this.cropStart = null;
+
+    // A click without a drag isn't a crop
+    const crop = this.edit.crop;
+    this.edit.setCrop(crop && crop.width >= 16 && crop.height >= 16 ? crop : null);
+    this.tool.markDirty(this.item);
+    this.render();
+  }
+}
+
+class CurationTool {
+  constructor(element) {
+    this.root = element;
+    this.list = element.querySelector('[data-curation-list]');
+    this.form = element.querySelector('[data-curation-form]');
+    this.emptyHint = element.querySelector('[data-curation-empty]');
+    this.status = element.querySelector('[data-curation-status]');
+    this.saveBtn = element.querySelector('[data-curation-save]');
+    this.removeBtn = element.querySelector('[data-curation-remove]');
+    this.previewSlot = element.querySelector('[data-curation-preview-slot]');
+    this.previewTemplate = element.querySelector('[data-curation-preview-template]');
+
+    this.photoEditors = Array.from(element.querySelectorAll('[data-photo-editor]'))
+      .map(editor => new PhotoEditor(editor, this));
+
+    this.items = [];
+    this.images = [];
+    this.version = null;
+    this.selected = null;
+    this.isDirty = false;
+    this.previewDeck = null;
+
+    this.init();
+  }
+
+  async init() {
+    this.root.querySelector('[data-curation-add]').addEventListener('click', () => this.addItem());
+    this.root.querySelector('[data-curation-preview]').addEventListener('click', () => this.renderPreview());
+    this.saveBtn.addEventListener('click', () => this.save());
+    this.removeBtn.addEventListener('click', () => this.removeItem(this.selected));
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      const row = button && button.closest('[data-curation-item]');
+      if (!row) return;
+
+      const item = this.items[Number(row.dataset.curationItem)];
+      if (button.hasAttribute('data-curation-up')) {
+        this.move(item, -1);
+      } else if (button.hasAttribute('data-curation-down')) {
+        this.move(item, 1);
+      } else {
+        this.select(item);
+      }
+    });
+
+    this.form.addEventListener('input', () => this.readForm());
+    this.form.addEventListener('submit', (e) => e.preventDefault());
+
+    window.addEventListener('beforeunload', (e) => {
+      if (!this.isDirty) return;
+      e.preventDefault();
+      e.returnValue = '';
+    });
+
+    await this.load();
+  }
+
+  async load() {
+    try {
+      const response = await fetch(CATALOGUE_API, { cache: 'no-store' });
+      if (!response.ok) throw new Error(`${CATALOGUE_API}: HTTP ${response.status}`);
+      const data = await response.json();
+
+      this.version = data.version;
+      this.images = data.images;
+      this.items = data.entries.map(entry => ({ entry, edits: {}, isNew: false }));
+
+      if (data.problems.length > 0) {
+        const lines = data.problems.map(problem => `${problem.line} (${problem.message})`).join(', ');
+        this.announce(`painting_list.jsonl: rivejä ei voitu lukea: ${lines}. Korjaa ne käsin ennen tallentamista.`);
+      }
+    } catch (error) {
+      console.error('Could not load the catalogue:', error);
+      this.announce('Luettelon lataus epäonnistui. Käynnistä työkalu komennolla node tools/dev-server.js.');
+      return;
+    }
+
+    this.setDirty(false);
+    this.selected = null;
+    this.renderList();
+    this.renderForm();
+    this.renderPreview();
+  }
+
+  // Next free number after every image in paintings/ and in the catalogue
+  nextImageNumber() {
+    const names = [...this.images, ...this.items.flatMap(item => [item.entry.image, item.entry.descriptionImage])];
+    const numbers = names.map(name => NUMBERED_IMAGE.exec(name || '')).filter(Boolean).map(match => Number(match[1]));
+    const next = Math.max(0, ...numbers) + 1;
+    return String(next).padStart(3, '0');
+  }
+
+  addItem() {
+    const number = this.nextImageNumber();
+    const item = {
+      entry: { image: `${number}.jpg`, title: '', painter: '', description: '' },
+      edits: {},
+      isNew: true
+    };
+
+    this.items.push(item);
+    this.setDirty(true);
+    this.renderList();
+    this.select(item);
+    this.root.querySelector('[data-photo-editor="image"] [data-photo-file]').focus();
+  }
+
+  removeItem(item) {
+    if (!item || !item.isNew) return;
+
+    this.items = this.items.filter(i => i !== item);
+    this.selected = null;
+    this.renderList();
+    this.renderForm();
+  }
+
+  // A photo was dropped in: saved photos keep their name, new ones get the entry's number
+  setPhoto(item, field, edit) {
+    if (!item.entry[field]) {
+      const match = NUMBERED_IMAGE.exec(item.entry.image);
+      const base = match ? match[1] : this.nextImageNumber();
+      item.entry[field] = field === 'descriptionImage' ? `${base}_desc.jpg` : `${base}.jpg`;
+    } else if (!NUMBERED_IMAGE.test(item.entry[field])) {
+      // Uploads are always numbered JPEGs
+      const base = this.nextImageNumber();
+      item.entry[field] = field === 'descriptionImage' ? `${base}_desc.jpg` : `${base}.jpg`;
+    }
+
+    item.edits[field] = edit;
+    this.markDirty(item);
+  }
+
+  move(item, offset) {
+    const index = this.items.indexOf(item);
+    const target = index + offset;
+    if (target < 0 || target >= this.items.length) return;
+
+    this.items.splice(index, 1);
+    this.items.splice(target, 0, item);
+    this.setDirty(true);
+    this.renderList();
+
+    // Keep focus on the same button of the moved row
+    const row = this.list.children[target];
+    const button = row.querySelector(offset < 0 ? '[data-curation-up]' : '[data-curation-down]');
+    (button.disabled ? row.querySelector('.curation__select') : button).focus();
+  }
+
+  select(item) {
+    const previous = this.selected;
+    this.selected = item;
+    [previous, item].forEach(i => i && this.renderListItem(i));
+    this.renderForm();
+  }
+
+  markDirty(item) {
+    this.setDirty(true);
+    this.renderListItem(item);
+  }
+
+  setDirty(isDirty) {
+    this.isDirty = isDirty;
+    this.saveBtn.disabled = !isDirty;
+    document.title = `${isDirty ? '* ' : ''}${CURATION_TITLE}`;
+  }
+
+  readForm() {
+    const item = this.selected;
+    if (!item) return;
+
+    const data = new FormData(this.form);
+    const entry = item.entry;
+
+    ['title', 'painter', 'description'].forEach(field => {
+      entry[field] = data.get(field).trim();
+    });
+
+    const alt = data.get('alt').trim();
+    if (alt) entry.alt = alt; else delete entry.alt;
+
+    // Only collaborations and spelling variants need artists; otherwise the painter is the artist
+    const artists = splitList(data.get('artists'));
+    if (artists.length > 0) entry.artists = artists; else delete entry.artists;
+
+    const tags = splitList(data.get('tags'));
+    if (tags.length > 0) entry.tags = tags; else delete entry.tags;
+
+    if (data.get('hidden')) entry.hidden = true; else delete entry.hidden;
+
+    // A newly recorded consent allows nothing until it's ticked
+    if (data.get('consent')) {
+      entry.consent = {
+        image: data.get('consentImage') === 'on',
+        name: data.get('consentName') === 'on',
+        descriptionImage: data.get('consentDescriptionImage') === 'on'
+      };
+      const withdrawal = data.get('consentWithdrawal');
+      if (withdrawal) entry.consent.withdrawal = withdrawal;
+    } else {
+      delete entry.consent;
+    }
+    this.renderConsent(entry);
+
+    this.markDirty(item);
+  }
+
+  renderForm() {
+    const item = this.selected;
+    this.form.hidden = !item;
+    this.emptyHint.hidden = Boolean(item);
+    if (!item) return;
+
+    const { entry } = item;
+    const fields = this.form.elements;
+    fields.title.value = entry.title || '';
+    fields.painter.value = entry.painter || '';
+    fields.artists.value = (entry.artists || []).join(', ');
+    fields.description.value = entry.description || '';
+    fields.alt.value = entry.alt || '';
+    fields.tags.value = (entry.tags || []).join(', ');
+    fields.hidden.checked = entry.hidden === true;
+    this.renderConsent(entry);
+    this.removeBtn.hidden = !item.isNew;
+
+    this.photoEditors.forEach(editor => editor.show(item));
+  }
+
+  renderConsent(entry) {
+    const fields = this.form.elements;
+    const consent = entry.consent || {};
+
+    fields.consent.checked = Boolean(entry.consent);
+    fields.consentImage.checked = consent.image === true;
+    fields.consentName.checked = consent.name === true;
+    fields.consentDescriptionImage.checked = consent.descriptionImage === true;
+    fields.consentWithdrawal.value = consent.withdrawal || '';
+    this.form.querySelectorAll('[data-consent-detail]').forEach(field => {
+      field.disabled = !entry.consent;
+    });
+  }
+
+  renderList() {
+    this.list.innerHTML = '';
+
+    this.items.forEach((item, index) => {
+      const row = document.createElement('li');
+      row.className = 'curation__item';
+      row.dataset.curationItem = index;
+      row.innerHTML = `
+        <button type="button" class="curation__select">
+          <span class="curation__thumb" data-curation-thumb></span>
+          <span class="curation__label" data-curation-label></span>
+        </button>
+        <button type="button" class="curation__move" data-curation-up aria-label="Siirrä ylemmäs" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button type="button" class="curation__move" data-curation-down aria-label="Siirrä alemmas" ${index === this.items.length - 1 ? 'disabled' : ''}>↓</button>
+      `;
+      this.list.appendChild(row);
+      this.renderListItem(item);
+    });
+  }
+
+  renderListItem(item) {
+    const row = this.list.children[this.items.indexOf(item)];
+    if (!row) return;
+
+    const { entry } = item;
+    const isCurrent = item === this.selected;
+    const changes = Object.values(item.edits).some(edit => edit.isChanged);
+    const notes = [
+      entry.hidden ? 'piilotettu' : '',
+      entry.consent ? '' : 'ei julkaisulupaa',
+      item.isNew ? 'uusi' : '',
+      changes ? 'kuvaa muokattu' : ''
+    ].filter(Boolean);
+
+    row.classList.toggle('curation__item--hidden', entry.hidden === true);
+    row.querySelector('.curation__select').setAttribute('aria-current', isCurrent.toString());
+    row.querySelector('[data-curation-label]').textContent =
+      `${entry.image} – ${entry.title || 'Nimetön'}, ${entry.painter || 'ei tekijää'}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+
+    const thumb = row.querySelector('[data-curation-thumb]');
+    if (!item.isNew && !item.edits.image) {
+      if (!thumb.firstChild) thumb.innerHTML = renderPicture(entry.image, { className: 'curation__thumb-image', sizes: '48px' });
+    } else if (item.edits.image) {
+      item.edits.image.previewUrl().then(url => {
+        thumb.innerHTML = `<img src="${url}" alt="" class="curation__thumb-image">`;
+      });
+    }
+  }
+
+  // The catalogue as it would be saved, in order
+  entries() {
+    return this.items.map(item => orderEntry(item.entry));
+  }
+
+  // Build the deck from the entries as they would be saved, with unsaved photos in place
+  async renderPreview() {
+    const text = this.entries().map(entry => JSON.stringify(entry)).join('\n');
+    const paintings = parseCatalogue(text);
+    const photos = new Map();
+
+    await Promise.all(this.items.flatMap(item => Object.entries(item.edits)
+      .filter(([, edit]) => edit.isChanged)
+      .map(async ([field, edit]) => photos.set(item.entry[field], await edit.previewUrl()))));
+
+    if (this.previewDeck) {
+      // Removes the old deck's timers and listeners; its element is thrown away
+      this.previewDeck.destroy();
+    }
+
+    const deckElement = this.previewTemplate.content.firstElementChild.cloneNode(true);
+    const track = deckElement.querySelector('[data-carousel-track]');
+    paintings.forEach(painting => track.appendChild(createCard(painting)));
+
+    // Unsaved photos: the object URL instead of the file, and no stale size variants
+    track.querySelectorAll('img[data-src]').forEach(img => {
+      const name = img.dataset.src.slice(PAINTINGS_DIR.length + 1);
+      if (!photos.has(name)) return;
+
+      img.closest('picture').querySelectorAll('source').forEach(source => source.remove());
+      img.dataset.src = photos.get(name);
+      img.dataset.fullSrc = photos.get(name);
+      img.removeAttribute('width');
+      img.removeAttribute('height');
+    });
+
+    this.previewSlot.replaceChildren(deckElement);
+    const CardDeck = await loadCardDeck();
+    this.previewDeck = new CardDeck(deckElement, { ...deckOptions(), autoplay: false });
+
+    // Open the preview on the entry being edited
+    const selectedId = this.selected ? paintingId(this.selected.entry) : null;
+    const index = paintings.findIndex(painting => painting.id === selectedId);
+    if (index > 0) this.previewDeck.goToSlide(index);
+  }
+
+  async save() {
+    const missing = this.items.find(item => item.isNew && !item.edits.image);
+    if (missing) {
+      this.select(missing);
+      this.announce('Uudelta teokselta puuttuu kuva.');
+      return;
+    }
+
+    this.saveBtn.disabled = true;
+    this.announce('Tallennetaan…');
+
+    try {
+      const uploads = {};
+      for (const item of this.items) {
+        for (const [field, edit] of Object.entries(item.edits)) {
+          if (edit.isChanged) uploads[item.entry[field]] = await blobToBase64(await edit.toBlob());
+        }
+      }
+
+      const response = await fetch(CATALOGUE_API, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version: this.version, entries: this.entries(), uploads })
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+      const images = Object.keys(uploads);
+      await this.load();
+      this.announce([
+        `Tallennettu. ${result.build}`,
+        images.length > 0 ? `Uudet kuvat: ${images.join(', ')}. Päivitä kuvaversiot komennolla node tools/build-images.js.` : ''
+      ].filter(Boolean).join(' '));
+    } catch (error) {
+      console.error('Could not save the catalogue:', error);
+      this.announce(`Tallennus epäonnistui: ${error.message}`);
+      this.saveBtn.disabled = !this.isDirty;
+    }
+  }
+
+  announce(text) {
+    this.status.textContent = text;
+  }
+}
+
+// "014.jpg" -> "014", as parseCatalogue() does it
+function paintingId(entry) {
+  return entry.id || entry.image.replace(/\.[^.]+$/, '');
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const root = document.querySelector('[data-curation]');
+  if (!root) return;
+
+  // The preview shows the same variants as the site; edited photos replace theirs
+  await loadImageManifest();
+  new CurationTool(root);
+});
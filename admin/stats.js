@@ -0,0 +1,182 @@
+/**
+ * Engagement statistics report for the Solidarity Project exhibition
+ * Reads the collector's export (one stats.js batch per line) and adds it up per
+ * artwork: deliberate views, lightbox opens and how long the work stayed on top,
+ * next to how often the rotation showed it without anyone asking.
+ */
+
+// translateDocument() gives every page the exhibition's title
+const STATS_TITLE = document.title;
+
+// Dwell times someone chose; the rest only happened while the deck rotated, a filter changed it
+// or the shuffle went back to the last visit's card
+const UNCHOSEN_SOURCES = ['autoplay', 'initial', 'filter', 'restore'];
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Batches from an export; lines that aren't version 1 batches are counted, not kept
+function parseStatsExport(text) {
+  const batches = [];
+  let skipped = 0;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+
+    try {
+      const batch = JSON.parse(line);
+      if (batch && batch.version === 1 && Array.isArray(batch.events)) {
+        batches.push(batch);
+        return;
+      }
+    } catch (error) {
+      // Counted below
+    }
+    skipped++;
+  });
+
+  return { batches, skipped };
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function aggregateStats(batches) {
+  const works = new Map();
+  const days = new Set();
+  const totals = { views: 0, manual: 0, autoplay: 0, lightbox: 0 };
+
+  const work = id => {
+    if (!works.has(id)) {
+      works.set(id, { id, views: 0, autoplay: 0, lightbox: 0, dwellTimes: [] });
+    }
+    return works.get(id);
+  };
+
+  batches.forEach(batch => {
+    if (ISO_DAY.test(batch.day)) days.add(batch.day);
+
+    batch.events.forEach(event => {
+      if (!event || typeof event.id !== 'string') return;
+
+      switch (event.type) {
+        case 'view':
+          work(event.id).views++;
+          totals.views++;
+          // Moves the visitor made; the rest are the back button
+          if (event.source === 'user') totals.manual++;
+          break;
+        case 'autoplay':
+          work(event.id).autoplay++;
+          totals.autoplay++;
+          break;
+        case 'lightbox':
+          work(event.id).lightbox++;
+          totals.lightbox++;
+          break;
+        case 'dwell':
+          if (event.ms > 0 && !UNCHOSEN_SOURCES.includes(event.source)) {
+            work(event.id).dwellTimes.push(event.ms);
+          }
+          break;
+      }
+    });
+  });
+
+  const rows = Array.from(works.values(), ({ dwellTimes, ...counts }) => ({
+    ...counts,
+    medianDwell: median(dwellTimes),
+    totalDwell: dwellTimes.reduce((sum, ms) => sum + ms, 0)
+  }));
+
+  // Most looked-at first
+  rows.sort((a, b) => b.views - a.views || b.lightbox - a.lightbox || a.id.localeCompare(b.id));
+
+  return { works: rows, totals, days: Array.from(days).sort() };
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toLocaleString('fi-FI', { maximumFractionDigits: 1 })} s`;
+}
+
+class StatsReport {
+  constructor(element) {
+    this.root = element;
+    this.input = this.root.querySelector('[data-stats-file]');
+    this.status = this.root.querySelector('[data-stats-status]');
+    this.summary = this.root.querySelector('[data-stats-summary]');
+    this.table = this.root.querySelector('[data-stats-table]');
+    this.titles = new Map();
+
+    this.init();
+  }
+
+  async init() {
+    document.title = STATS_TITLE;
+    this.input.addEventListener('change', () => this.readFiles(this.input.files));
+
+    // Without the catalogue the report still works, with ids instead of titles
+    try {
+      const paintings = await fetchCatalogue();
+      paintings.forEach(painting => {
+        this.titles.set(painting.id, `${localizedText(painting, 'title') || t('painting.untitled')} – ${painting.painter}`);
+      });
+    } catch (error) {
+      console.warn('Statistics report without titles:', error);
+    }
+  }
+
+  // Several exports (e.g. one per month) add up to one report
+  async readFiles(files) {
+    if (files.length === 0) return;
+
+    const texts = await Promise.all(Array.from(files, file => file.text()));
+    const { batches, skipped } = parseStatsExport(texts.join('\n'));
+
+    this.status.textContent = skipped > 0
+      ? `${batches.length} erää luettu, ${skipped} virheellistä riviä ohitettu.`
+      : `${batches.length} erää luettu.`;
+    this.render(aggregateStats(batches));
+  }
+
+  render({ works, totals, days }) {
+    const period = days.length > 0 ? `${days[0]} – ${days[days.length - 1]}` : '–';
+
+    this.summary.innerHTML = `
+      <div><dt>Ajanjakso</dt><dd>${period}</dd></div>
+      <div><dt>Valitut katselut</dt><dd>${totals.views}</dd></div>
+      <div><dt>Joista kävijän omat siirrot</dt><dd>${totals.manual}</dd></div>
+      <div><dt>Automaattisesti näytetyt</dt><dd>${totals.autoplay}</dd></div>
+      <div><dt>Suurennukset</dt><dd>${totals.lightbox}</dd></div>
+    `;
+
+    // Ids come from whoever posted to the collector, so they're only ever text here
+    this.table.replaceChildren(...works.map(work => {
+      const row = document.createElement('tr');
+      [
+        this.titles.get(work.id) || work.id,
+        work.views,
+        formatSeconds(work.medianDwell),
+        formatSeconds(work.totalDwell),
+        work.lightbox,
+        work.autoplay
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      return row;
+    }));
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const element = document.querySelector('[data-stats-report]');
+  if (element) {
+    new StatsReport(element);
+  }
+});
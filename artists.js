@@ -0,0 +1,149 @@
+/**
+ * Artist pages for the Solidarity Project exhibition
+ * Groups every work under its canonical artist(s) and links to them (#taiteilija/<slug>).
+ */
+
+const ARTIST_HASH_PREFIX = '#taiteilija/';
+
+// "Eliel Nikkola" -> "eliel-nikkola"
+function artistSlug(name) {
+  return normalizeForSearch(name)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function artistUrl(name) {
+  return `${ARTIST_HASH_PREFIX}${artistSlug(name)}`;
+}
+
+// The card's artist label: the credit as written, linked to the artist page(s)
+function renderArtistCredit(painting) {
+  if (painting.artists.length === 0) {
+    return escapeHtml(painting.painter);
+  }
+
+  if (painting.artists.length === 1) {
+    return `<a href="${artistUrl(painting.artists[0])}" class="card-deck__artist-link">${escapeHtml(painting.painter || painting.artists[0])}</a>`;
+  }
+
+  // Collaborations link each contributor separately
+  return painting.artists
+    .map(name => `<a href="${artistUrl(name)}" class="card-deck__artist-link">${escapeHtml(name)}</a>`)
+    .join(' & ');
+}
+
+// slug -> { name, paintings }, each artist's works in catalogue order
+function groupByArtist(paintings) {
+  const artists = new Map();
+
+  paintings.forEach(painting => {
+    painting.artists.forEach(name => {
+      const slug = artistSlug(name);
+      if (!slug) return;
+
+      if (!artists.has(slug)) {
+        artists.set(slug, { name, paintings: [] });
+      }
+      artists.get(slug).paintings.push(painting);
+    });
+  });
+
+  return artists;
+}
+
+// Artists in alphabetical order for the interface language
+function sortedArtists(artists) {
+  return Array.from(artists.entries())
+    .sort(([, a], [, b]) => a.name.localeCompare(b.name, getLanguage()));
+}
+
+class ArtistIndex {
+  constructor(element, paintings) {
+    this.section = element;
+    this.index = this.section.querySelector('[data-artist-index]');
+    this.detail = this.section.querySelector('[data-artist-detail]');
+    this.currentSlug = null;
+
+    this.artists = groupByArtist(paintings);
+
+    this.init();
+  }
+
+  init() {
+    if (!this.index || !this.detail) return;
+
+    this.renderIndex();
+    this.detail.addEventListener('click', (e) => {
+      if (e.target.closest('[data-artist-close]')) this.closeDetail();
+    });
+
+    window.addEventListener('hashchange', () => this.handleHash(true));
+    this.handleHash(false);
+  }
+
+  renderIndex() {
+    const artists = sortedArtists(this.artists);
+
+    this.index.innerHTML = artists.map(([slug, artist]) => `
+      <li class="artists__item">
+        <a href="${ARTIST_HASH_PREFIX}${slug}" class="artists__link">
+          ${escapeHtml(artist.name)}
+          <span class="artists__count" aria-label="${t('works.count', { count: artist.paintings.length })}">${artist.paintings.length}</span>
+        </a>
+      </li>
+    `).join('');
+  }
+
+  handleHash(shouldScroll) {
+    const { hash } = window.location;
+    if (!hash.startsWith(ARTIST_HASH_PREFIX)) return;
+
+    const slug = decodeURIComponent(hash.slice(ARTIST_HASH_PREFIX.length));
+    const artist = this.artists.get(slug);
+    if (!artist) return;
+
+    this.currentSlug = slug;
+    this.renderDetail(artist);
+
+    if (shouldScroll) {
+      this.section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  renderDetail(artist) {
+    const count = artist.paintings.length;
+
+    this.detail.innerHTML = `
+      <div class="artists__detail-header">
+        <h3 class="artists__name" tabindex="-1">${escapeHtml(artist.name)}</h3>
+        <p class="artists__summary">${t('works.count', { count })}</p>
+        <button type="button" class="artists__close" data-artist-close>${t('artists.showAll')}</button>
+      </div>
+      <ul class="artists__works">
+        ${artist.paintings.map(painting => `
+          <li class="artists__work">
+            <a href="#teos/${escapeHtml(encodeURIComponent(painting.id))}" class="artists__work-link">
+              ${renderPicture(painting.image, { className: 'artists__work-image', sizes: THUMBNAIL_SIZES })}
+              <span class="artists__work-title">${escapeHtml(localizedText(painting, 'title') || t('painting.untitled'))}</span>
+            </a>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+
+    this.detail.hidden = false;
+    this.detail.querySelector('.artists__name').focus({ preventScroll: true });
+  }
+
+  closeDetail() {
+    this.detail.hidden = true;
+    this.detail.innerHTML = '';
+
+    // Drop the artist hash so the same link can be opened again
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+
+    const link = this.index.querySelector(`a[href="${ARTIST_HASH_PREFIX}${this.currentSlug}"]`);
+    if (link) link.focus();
+    this.currentSlug = null;
+  }
+}
@@ -0,0 +1,885 @@
+/**
+ * CardDeck: the stacked card carousel of the Solidarity Project exhibition
+ * An ES module with no dependencies, so other project pages and partner
+ * organisations can use the same deck:
+ *
+ *   import { CardDeck } from './card-deck.js';
+ *   const deck = CardDeck.attach(document.querySelector('.card-deck'), { autoplayDelay: 6000 });
+ *   deck.carousel.addEventListener('slidechange', (e) => console.log(e.detail.index));
+ *   deck.destroy();
+ *
+ * or, after importing the module, as a custom element:
+ *
+ *   <card-deck autoplay-delay="6000" aria-label="Artworks">
+ *     <div>First card</div>
+ *     <div>Second card</div>
+ *   </card-deck>
+ *
+ * Markup: a root element with a [data-carousel-track] holding one `.slide` per card,
+ * and optionally [data-carousel-prev], [data-carousel-next], [data-carousel-counter]
+ * and [data-carousel-rotation] controls. <card-deck> builds these around its children
+ * when they're missing, the rotation control only when autoplay is on. A card with .card-deck__front/.card-deck__back faces turns over
+ * when clicked, and the top card can be dragged and thrown off the stack with a finger,
+ * pen or mouse. The look comes from the .card-deck rules in styles.css.
+ *
+ * The cards go round in markup order, or shuffled: the shuffleSeed option or shuffle(seed)
+ * deals them in an order that only depends on the seed, so the same seed gives the same
+ * order on every device.
+ *
+ * Events, dispatched on the root element:
+ *   slidechange  detail { index, slide, source }; source is 'user', 'autoplay', 'history', 'filter'
+ *                or 'restore' (back on the card a previous visit ended on)
+ *   play         the automatic rotation was switched on
+ *   pause        the automatic rotation was switched off (by the visitor, focus or pause())
+ *   dwell        a card left the top of the stack, or the page was hidden while it was there;
+ *                detail { slide, duration (ms on top while the page was visible), source (how it got
+ *                there: a slidechange source, or 'initial' for the card the deck started on) }
+ */
+
+export const DEFAULT_OPTIONS = {
+  autoplay: true, // Never for visitors who prefer reduced motion
+  autoplayDelay: 4000,
+  swipeThreshold: 50, // Pixels a fast flick must travel to change cards
+  flingVelocity: 0.5, // Pixels per millisecond that count as a flick
+  dragThreshold: 0.35, // Share of the card width a slow drag must cover to change cards
+  dragRotation: 15, // Degrees the top card tilts when dragged one card width
+  intentThreshold: 10, // Pixels a pointer moves before a drag is told apart from scrolling
+  animationDuration: 600, // Navigation is locked while the cards move
+  easing: 'cubic-bezier(0.68, -0.55, 0.265, 1.55)',
+  // The visible stack, top card first
+  positions: [
+    { z: 4, y: 0, rotation: 0, scale: 1, opacity: 1 },
+    { z: 3, y: -8, rotation: -2, scale: 0.98, opacity: 1 },
+    { z: 2, y: -16, rotation: 1, scale: 0.96, opacity: 1 },
+    { z: 1, y: -24, rotation: -1, scale: 0.94, opacity: 1 }
+  ],
+  // Every card further down, tilted by up to ±hiddenTilt degrees (each card its own, fixed tilt)
+  hiddenPosition: { z: 0, y: -32, scale: 0.9, opacity: 0 },
+  hiddenTilt: 3,
+  shuffleSeed: null, // Any string deals the cards in the order it gives; none keeps markup order
+  prefetchCount: 3, // Cards beyond the visible stack whose images load ahead of time
+  // Called with a card face that's about to be seen, e.g. to swap in deferred image URLs
+  loadImages: null,
+  // Autoplay holds during which slide changes aren't announced, because something else narrates the deck
+  silentHolds: [],
+  // {current} and {total} are filled in
+  labels: {
+    slide: 'slide',
+    position: '{current} of {total}',
+    stopRotation: 'Stop automatic slide show',
+    startRotation: 'Start automatic slide show',
+    prev: 'Previous card',
+    next: 'Next card'
+  }
+};
+
+// The deck attached to each element, so attaching twice returns the same deck
+const instances = new WeakMap();
+
+function format(label, params) {
+  return label.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+export class CardDeck {
+  // The deck already on `element`, or a new one with `options`
+  static attach(element, options = {}) {
+    return instances.get(element) || new CardDeck(element, options);
+  }
+
+  constructor(element, options = {}) {
+    if (instances.has(element)) {
+      throw new Error('CardDeck: this element already has a deck; use CardDeck.attach() or destroy() it first');
+    }
+
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      labels: { ...DEFAULT_OPTIONS.labels, ...options.labels }
+    };
+
+    this.carousel = element;
+    this.container = this.carousel.querySelector('[data-carousel-track]');
+    this.markupOrder = Array.from(this.carousel.querySelectorAll('.slide'));
+    this.seed = this.options.shuffleSeed || null;
+    this.allSlides = this.seed ? seededShuffle(this.markupOrder, this.seed) : this.markupOrder;
+    this.slides = this.allSlides; // The cards the deck currently cycles through
+    this.prevBtn = this.carousel.querySelector('[data-carousel-prev]');
+    this.nextBtn = this.carousel.querySelector('[data-carousel-next]');
+    this.counter = this.carousel.querySelector('[data-carousel-counter]');
+    this.rotationBtn = this.carousel.querySelector('[data-carousel-rotation]');
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+    this.currentSlide = 0;
+    this.totalSlides = this.slides.length;
+    this.isPlaying = this.options.autoplay && !this.reducedMotion.matches;
+    this.autoplayInterval = null;
+    this.autoplayDelay = this.options.autoplayDelay;
+    this.isAnimating = false;
+    this.animationTimeout = null;
+
+    // Reasons autoplay must stay paused regardless of hover/focus (e.g. 'flip', 'lightbox')
+    this.autoplayHolds = new Set();
+
+    // A mouse over the deck pauses it until the mouse leaves
+    this.isHovered = false;
+
+    // The pointer dragging the top card: { pointerId, pointerType, startX, startY, dx, axis, samples }
+    this.drag = null;
+    this.hasSwiped = false;
+
+    // Card currently turned over to its description side
+    this.flippedSlide = null;
+
+    // How the top card got there, and since when it has been visible: { slide, since }
+    this.shownSource = 'initial';
+    this.shown = null;
+
+    // Every listener is registered with this signal, so destroy() removes them all
+    this.listeners = new AbortController();
+
+    instances.set(element, this);
+    this.init();
+  }
+
+  init() {
+    if (!this.container) return;
+
+    this.setupEventListeners();
+    if (this.totalSlides === 0) return;
+
+    this.updateCardPositions();
+    this.updateIndicators();
+    this.updateAriaLabels();
+    this.updateRotationControl();
+    this.startDwell();
+    this.startAutoplay();
+  }
+
+  setupEventListeners() {
+    const { signal } = this.listeners;
+
+    // Navigation buttons
+    if (this.prevBtn) {
+      this.prevBtn.addEventListener('click', () => this.prevSlide(), { signal });
+    }
+
+    if (this.nextBtn) {
+      this.nextBtn.addEventListener('click', () => this.nextSlide(), { signal });
+    }
+
+    // Visible play/pause control for the automatic rotation
+    if (this.rotationBtn) {
+      this.rotationBtn.addEventListener('click', () => this.toggleRotation(), { signal });
+    }
+
+    // Flip the top card by clicking or tapping it (or its flip button)
+    this.container.addEventListener('click', (e) => this.handleCardClick(e), { signal });
+
+    // Keyboard navigation
+    this.carousel.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+    // Pause while hovered; keyboard focus inside the deck stops rotation until the user restarts it
+    this.carousel.addEventListener('mouseenter', () => {
+      this.isHovered = true;
+      this.pauseAutoplay();
+    }, { signal });
+    this.carousel.addEventListener('mouseleave', () => {
+      this.isHovered = false;
+      this.resumeAutoplay();
+    }, { signal });
+    this.carousel.addEventListener('focusin', (e) => {
+      if (e.target !== this.rotationBtn) this.stopAutoplay();
+    }, { signal });
+
+    // Follow changes to the reduced motion preference
+    this.reducedMotion.addEventListener('change', () => {
+      if (this.reducedMotion.matches) this.stopAutoplay();
+    }, { signal });
+
+    // Dragging with a finger, pen or mouse (touch-action: pan-y leaves vertical swipes to the page)
+    this.container.addEventListener('pointerdown', (e) => this.handlePointerDown(e), { signal });
+    this.container.addEventListener('pointermove', (e) => this.handlePointerMove(e), { signal });
+    this.container.addEventListener('pointerup', (e) => this.handlePointerUp(e), { signal });
+    this.container.addEventListener('pointercancel', () => this.cancelDrag(), { signal });
+
+    // The browser's own image dragging would take over from ours
+    this.container.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+
+    // Prevent context menu on long press
+    this.container.addEventListener('contextmenu', (e) => {
+      if (this.drag) e.preventDefault();
+    }, { signal });
+
+    // Handle visibility change (pause when tab is not active)
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.endDwell();
+        this.pauseAutoplay();
+      } else {
+        this.startDwell();
+        this.resumeAutoplay();
+      }
+    }, { signal });
+
+    // The card on top when the visitor leaves has been looked at too
+    window.addEventListener('pagehide', () => this.endDwell(), { signal });
+  }
+
+  // Card deck navigation methods
+  // `source` tells listeners why the deck moved: 'user', 'autoplay', 'history', 'filter' or 'restore'
+  nextSlide(source = 'user') {
+    if (this.isAnimating || this.totalSlides === 0) return;
+
+    this.currentSlide = (this.currentSlide + 1) % this.totalSlides;
+    this.moveTo(source);
+  }
+
+  prevSlide(source = 'user') {
+    if (this.isAnimating || this.totalSlides === 0) return;
+
+    this.currentSlide = this.currentSlide === 0 ? this.totalSlides - 1 : this.currentSlide - 1;
+    this.moveTo(source);
+  }
+
+  goToSlide(targetIndex, source = 'user') {
+    if (this.isAnimating || targetIndex === this.currentSlide) return;
+    if (targetIndex < 0 || targetIndex >= this.totalSlides) return;
+
+    this.unflipCard();
+    this.currentSlide = targetIndex;
+    this.updateCardPositions();
+    this.updateIndicators();
+    this.updateAriaLabels();
+    this.notifySlideChange(source);
+  }
+
+  // Animate to the new current slide; further steps wait until the cards have moved
+  moveTo(source) {
+    this.isAnimating = true;
+    this.unflipCard();
+
+    this.updateCardPositions();
+    this.updateIndicators();
+    this.updateAriaLabels();
+    this.notifySlideChange(source);
+
+    this.animationTimeout = setTimeout(() => {
+      this.isAnimating = false;
+    }, this.options.animationDuration);
+  }
+
+  // Restrict the deck to a subset of its cards (e.g. search results), keeping the current card if it's still included
+  showOnly(slides) {
+    const current = this.slides[this.currentSlide];
+
+    this.unflipCard();
+    this.slides = slides;
+    this.totalSlides = slides.length;
+    this.allSlides.forEach(slide => {
+      slide.hidden = !slides.includes(slide);
+    });
+
+    const keptIndex = slides.indexOf(current);
+    this.currentSlide = keptIndex === -1 ? 0 : keptIndex;
+    this.carousel.classList.toggle('card-deck--empty', this.totalSlides === 0);
+
+    this.updateCardPositions();
+    this.updateIndicators();
+    this.updateAriaLabels();
+    this.notifySlideChange('filter');
+  }
+
+  showAll() {
+    this.showOnly(this.allSlides);
+  }
+
+  // Deal the cards in `seed`'s order, or back in markup order without one. The top card stays
+  // on top; a subset on show (search results, a tour) keeps its order until showAll()
+  shuffle(seed = null) {
+    const isShowingAll = this.slides === this.allSlides;
+
+    this.seed = seed || null;
+    this.allSlides = this.seed ? seededShuffle(this.markupOrder, this.seed) : this.markupOrder;
+    if (isShowingAll) this.showAll();
+  }
+
+  notifySlideChange(source) {
+    this.endDwell();
+    this.shownSource = source;
+    this.startDwell();
+
+    this.dispatch('slidechange', {
+      index: this.currentSlide,
+      slide: this.slides[this.currentSlide],
+      source
+    });
+  }
+
+  // Time on top only counts while the page is visible
+  startDwell() {
+    const slide = this.slides[this.currentSlide];
+    this.shown = slide && !document.hidden ? { slide, since: Date.now() } : null;
+  }
+
+  endDwell() {
+    if (!this.shown) return;
+
+    const { slide, since } = this.shown;
+    this.shown = null;
+    this.dispatch('dwell', { slide, duration: Date.now() - since, source: this.shownSource });
+  }
+
+  dispatch(type, detail = {}) {
+    this.carousel.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  updateCardPositions() {
+    const { positions, animationDuration, easing, prefetchCount, loadImages } = this.options;
+    const transition = `all ${animationDuration}ms ${easing}`;
+
+    this.slides.forEach((slide, index) => {
+      // Calculate which position this card should be in
+      const positionIndex = this.positionOf(index);
+
+      // Cards further down are hidden behind
+      const pos = positionIndex < positions.length ? positions[positionIndex] : this.hiddenPositionOf(slide);
+      placeCard(slide, pos, transition);
+
+      // Load the visible stack, a few cards ahead in the autoplay direction and the one just behind
+      const front = slide.querySelector('.card-deck__front') || slide;
+      if (loadImages && (positionIndex < positions.length + prefetchCount || positionIndex === this.totalSlides - 1)) {
+        loadImages(front);
+      }
+    });
+  }
+
+  // Each card keeps its own tilt, so none jumps as it comes up: paintings by their id,
+  // other cards (e.g. in a <card-deck>) by their place in the markup
+  hiddenPositionOf(slide) {
+    const { hiddenPosition, hiddenTilt } = this.options;
+    const random = seededRandom(slide.dataset.paintingId || String(this.markupOrder.indexOf(slide)));
+    return { ...hiddenPosition, rotation: (random() * 2 - 1) * hiddenTilt };
+  }
+
+  // How many places from the top of the stack a card is
+  positionOf(index) {
+    return (index - this.currentSlide + this.totalSlides) % this.totalSlides;
+  }
+
+  // The top card `dx` pixels off centre, and the cards behind it `progress` (0-1) of the way up to their next places
+  placeDraggedStack(dx, progress, transition = 'none') {
+    const { positions, dragRotation } = this.options;
+    const rotation = (dx / this.cardWidth()) * dragRotation;
+
+    this.slides.forEach((slide, index) => {
+      const positionIndex = this.positionOf(index);
+
+      if (positionIndex === 0) {
+        placeCard(slide, { ...positions[0], rotation: positions[0].rotation + rotation }, transition, dx);
+      } else if (positionIndex <= positions.length) {
+        const from = positionIndex < positions.length ? positions[positionIndex] : this.hiddenPositionOf(slide);
+        placeCard(slide, interpolatePosition(from, positions[positionIndex - 1], progress), transition);
+      }
+    });
+  }
+
+  cardWidth() {
+    return this.container.offsetWidth || 1;
+  }
+
+  updateIndicators() {
+    if (this.counter) {
+      this.counter.textContent = this.totalSlides > 0 ? `${this.currentSlide + 1} / ${this.totalSlides}` : '';
+    }
+  }
+
+  // APG carousel pattern: each card is a labelled "slide" group numbered within the current set
+  updateAriaLabels() {
+    const { labels } = this.options;
+
+    this.slides.forEach((slide, index) => {
+      const isActive = index === this.currentSlide;
+      slide.setAttribute('role', 'group');
+      slide.setAttribute('aria-roledescription', labels.slide);
+      slide.setAttribute('aria-label', format(labels.position, { current: index + 1, total: this.totalSlides }));
+      slide.setAttribute('aria-hidden', (!isActive).toString());
+
+      // Only the top card's buttons and links are reachable by keyboard
+      slide.querySelectorAll('button, a').forEach(control => {
+        control.tabIndex = isActive ? 0 : -1;
+      });
+    });
+  }
+
+  // Announce slide changes only while the deck isn't rotating on its own (or being narrated)
+  updateLiveRegion() {
+    const isRotating = Boolean(this.autoplayInterval) || this.options.silentHolds.some(reason => this.autoplayHolds.has(reason));
+    this.container.setAttribute('aria-live', isRotating ? 'off' : 'polite');
+  }
+
+  updateRotationControl() {
+    if (!this.rotationBtn) return;
+
+    const { labels } = this.options;
+    this.rotationBtn.classList.toggle('card-deck__rotation--playing', this.isPlaying);
+    this.rotationBtn.setAttribute('aria-label', this.isPlaying ? labels.stopRotation : labels.startRotation);
+  }
+
+  // Card flipping
+  handleCardClick(e) {
+    // A drag that ended on the card is a swipe, not a flip
+    if (this.hasSwiped) {
+      this.hasSwiped = false;
+      return;
+    }
+
+    // The card's other buttons (zoom, reactions, favourite) and artist links do their own thing
+    if (e.target.closest('button:not([data-card-flip]), a')) return;
+
+    const slide = e.target.closest('.slide');
+    if (slide && slide === this.slides[this.currentSlide]) {
+      this.toggleFlip();
+    }
+  }
+
+  toggleFlip() {
+    if (this.flippedSlide) {
+      this.unflipCard();
+    } else {
+      this.flipCard();
+    }
+  }
+
+  flipCard() {
+    const slide = this.slides[this.currentSlide];
+    if (!slide || !slide.querySelector('.card-deck__back')) return;
+
+    // Description photos are only downloaded once someone turns the card
+    if (this.options.loadImages) {
+      this.options.loadImages(slide.querySelector('.card-deck__back'));
+    }
+
+    this.flippedSlide = slide;
+    this.setFlipState(slide, true);
+    this.holdAutoplay('flip');
+  }
+
+  unflipCard() {
+    if (!this.flippedSlide) return;
+
+    this.setFlipState(this.flippedSlide, false);
+    this.flippedSlide = null;
+    this.releaseAutoplay('flip');
+  }
+
+  setFlipState(slide, isFlipped) {
+    slide.classList.toggle('card-deck__card--flipped', isFlipped);
+    slide.querySelector('.card-deck__front').setAttribute('aria-hidden', isFlipped.toString());
+    slide.querySelector('.card-deck__back').setAttribute('aria-hidden', (!isFlipped).toString());
+
+    const flipBtn = slide.querySelector('[data-card-flip]');
+    if (flipBtn) {
+      flipBtn.setAttribute('aria-pressed', isFlipped.toString());
+    }
+  }
+
+  // Autoplay methods
+  startAutoplay() {
+    if (!this.isPlaying || this.autoplayInterval) return;
+
+    this.autoplayInterval = setInterval(() => {
+      this.nextSlide('autoplay');
+    }, this.autoplayDelay);
+    this.updateLiveRegion();
+  }
+
+  pauseAutoplay() {
+    if (this.autoplayInterval) {
+      clearInterval(this.autoplayInterval);
+      this.autoplayInterval = null;
+    }
+    this.updateLiveRegion();
+  }
+
+  resumeAutoplay() {
+    // Keep the deck still while something (a flipped card, the lightbox) holds it
+    if (this.isPlaying && !this.autoplayInterval && this.autoplayHolds.size === 0) {
+      this.startAutoplay();
+    }
+  }
+
+  // Pause until every holder has released; hover/focus changes won't resume it meanwhile
+  holdAutoplay(reason) {
+    this.autoplayHolds.add(reason);
+    this.pauseAutoplay();
+  }
+
+  releaseAutoplay(reason) {
+    this.autoplayHolds.delete(reason);
+    this.updateLiveRegion();
+  }
+
+  stopAutoplay() {
+    const wasPlaying = this.isPlaying;
+
+    this.isPlaying = false;
+    this.pauseAutoplay();
+    this.updateRotationControl();
+    if (wasPlaying) this.dispatch('pause');
+  }
+
+  toggleRotation() {
+    if (this.isPlaying) {
+      this.stopAutoplay();
+    } else {
+      this.play();
+    }
+  }
+
+  // In right-to-left languages the deck runs the other way: left is "next"
+  isRtl() {
+    return getComputedStyle(this.carousel).direction === 'rtl';
+  }
+
+  // Keyboard navigation
+  handleKeydown(e) {
+    const isRtl = this.isRtl();
+
+    switch (e.key) {
+      case 'ArrowLeft':
+        e.preventDefault();
+        isRtl ? this.nextSlide() : this.prevSlide();
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        isRtl ? this.prevSlide() : this.nextSlide();
+        break;
+      case 'Home':
+        e.preventDefault();
+        this.goToSlide(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this.goToSlide(this.totalSlides - 1);
+        break;
+    }
+  }
+
+  // Pointer dragging: the top card follows the pointer, then is thrown off the stack or springs back
+  handlePointerDown(e) {
+    if (!e.isPrimary || e.button !== 0 || this.isAnimating || this.totalSlides < 2) return;
+
+    // Only the top card can be picked up, and not by its buttons or links
+    const slide = e.target.closest('.slide');
+    if (slide !== this.slides[this.currentSlide] || e.target.closest('button, a')) return;
+
+    this.hasSwiped = false;
+    this.drag = {
+      pointerId: e.pointerId,
+      pointerType: e.pointerType,
+      startX: e.clientX,
+      startY: e.clientY,
+      dx: 0,
+      axis: null, // 'x' once the pointer has clearly moved sideways
+      samples: [{ x: e.clientX, time: e.timeStamp }]
+    };
+    this.pauseAutoplay();
+  }
+
+  handlePointerMove(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+
+    if (!drag.axis) {
+      if (Math.hypot(dx, dy) < this.options.intentThreshold) return;
+
+      // Mostly vertical: the visitor is scrolling the page, not dragging the card
+      if (Math.abs(dy) > Math.abs(dx)) {
+        this.endDrag();
+        return;
+      }
+
+      drag.axis = 'x';
+      this.hasSwiped = true;
+      if (this.container.setPointerCapture) this.container.setPointerCapture(e.pointerId);
+      if (drag.pointerType === 'mouse') this.container.style.cursor = 'grabbing';
+    }
+
+    e.preventDefault();
+    drag.dx = dx;
+    this.addDragSample(e);
+
+    const progress = Math.min(Math.abs(dx) / (this.cardWidth() * this.options.dragThreshold), 1);
+    this.placeDraggedStack(dx, progress);
+  }
+
+  handlePointerUp(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    if (!drag.axis) {
+      // A tap or click; handleCardClick decides what it does
+      this.endDrag();
+      return;
+    }
+
+    this.addDragSample(e);
+    const { swipeThreshold, flingVelocity, dragThreshold } = this.options;
+    const velocity = dragVelocity(drag.samples);
+
+    // A quick flick in the direction of the drag, or a slow drag far enough, throws the card
+    const isFling = Math.abs(drag.dx) >= swipeThreshold && Math.abs(velocity) >= flingVelocity && Math.sign(velocity) === Math.sign(drag.dx);
+    const isFarEnough = Math.abs(drag.dx) >= this.cardWidth() * dragThreshold;
+
+    if (isFling || isFarEnough) {
+      this.throwCard(drag.dx, velocity);
+    } else {
+      this.updateCardPositions();
+    }
+
+    this.endDrag();
+  }
+
+  // The browser took the gesture over (e.g. to scroll): put the card back
+  cancelDrag() {
+    if (!this.drag) return;
+
+    if (this.drag.axis) this.updateCardPositions();
+    this.endDrag();
+  }
+
+  endDrag() {
+    const { pointerType } = this.drag;
+
+    this.drag = null;
+    this.container.style.cursor = '';
+    // A mouse let go over the deck is still hovering it, so the deck stays paused until it leaves
+    if (pointerType !== 'mouse' || !this.isHovered) this.resumeAutoplay();
+  }
+
+  // Only the last 100 ms of movement count towards the release velocity
+  addDragSample(e) {
+    const samples = this.drag.samples;
+    samples.push({ x: e.clientX, time: e.timeStamp });
+    while (samples.length > 2 && e.timeStamp - samples[0].time > 100) {
+      samples.shift();
+    }
+  }
+
+  // Send the top card off the side it was dragged to, at the speed it was thrown, then move on.
+  // Dragging towards the start edge (left, or right in RTL) goes forwards
+  throwCard(dx, velocity) {
+    const direction = Math.sign(dx);
+    const isForward = (direction < 0) !== this.isRtl();
+    const { flingVelocity, animationDuration } = this.options;
+    const distance = this.cardWidth() * 1.5;
+    const speed = Math.max(Math.abs(velocity), flingVelocity);
+    const duration = this.reducedMotion.matches ? 0 : Math.min(Math.round((distance - Math.abs(dx)) / speed), animationDuration);
+
+    this.isAnimating = true;
+    this.placeDraggedStack(direction * distance, 1, `all ${duration}ms ease-out`);
+    this.slides[this.currentSlide].style.opacity = 0;
+
+    this.animationTimeout = setTimeout(() => {
+      this.isAnimating = false;
+      isForward ? this.nextSlide() : this.prevSlide();
+    }, duration);
+  }
+
+  // Public API methods
+  play() {
+    const wasPlaying = this.isPlaying;
+
+    this.isPlaying = true;
+    this.updateRotationControl();
+    this.resumeAutoplay();
+    if (!wasPlaying) this.dispatch('play');
+  }
+
+  pause() {
+    this.stopAutoplay();
+  }
+
+  // Stop the timers, remove every listener and give the cards back their own styles and attributes
+  destroy() {
+    this.endDwell();
+    this.listeners.abort();
+    this.drag = null;
+    if (this.container) this.container.style.cursor = '';
+    this.pauseAutoplay();
+    clearTimeout(this.animationTimeout);
+    this.unflipCard();
+
+    this.allSlides.forEach(slide => {
+      ['zIndex', 'transform', 'opacity', 'transition'].forEach(property => {
+        slide.style[property] = '';
+      });
+      slide.hidden = false;
+      ['role', 'aria-roledescription', 'aria-label', 'aria-hidden'].forEach(name => slide.removeAttribute(name));
+      slide.querySelectorAll('button, a').forEach(control => control.removeAttribute('tabindex'));
+    });
+
+    this.carousel.classList.remove('card-deck--empty');
+    if (this.container) this.container.setAttribute('aria-live', 'off');
+    if (this.counter) this.counter.textContent = '';
+    instances.delete(this.carousel);
+  }
+}
+
+function placeCard(slide, pos, transition, offsetX = 0) {
+  slide.style.zIndex = pos.z;
+  slide.style.transform = `translate(${offsetX}px, ${pos.y}px) rotate(${pos.rotation}deg) scale(${pos.scale})`;
+  slide.style.opacity = pos.opacity;
+  slide.style.transition = transition;
+}
+
+function interpolatePosition(from, to, progress) {
+  const mix = (a, b) => a + (b - a) * progress;
+  return {
+    z: from.z, // Keep the stacking order until the move is over
+    y: mix(from.y, to.y),
+    rotation: mix(from.rotation, to.rotation),
+    scale: mix(from.scale, to.scale),
+    opacity: mix(from.opacity, to.opacity)
+  };
+}
+
+// FNV-1a: the same text always gives the same 32-bit number
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32: a stream of numbers in [0, 1) that depends only on the seed
+function seededRandom(seed) {
+  let state = hashString(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A Fisher-Yates shuffled copy of `items`; shared links depend on it, so changing it reorders them
+export function seededShuffle(items, seed) {
+  const random = seededRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Pixels per millisecond between the first and last sample
+function dragVelocity(samples) {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const elapsed = last.time - first.time;
+  return elapsed > 0 ? (last.x - first.x) / elapsed : 0;
+}
+
+// Options from <card-deck> attributes: autoplay="off", autoplay-delay, swipe-threshold, animation-duration, shuffle-seed
+function optionsFromAttributes(element) {
+  const options = {};
+  if (element.getAttribute('autoplay') === 'off') options.autoplay = false;
+  if (element.getAttribute('shuffle-seed')) options.shuffleSeed = element.getAttribute('shuffle-seed');
+
+  [['autoplay-delay', 'autoplayDelay'], ['swipe-threshold', 'swipeThreshold'], ['animation-duration', 'animationDuration']].forEach(([attribute, option]) => {
+    const value = Number(element.getAttribute(attribute));
+    if (element.hasAttribute(attribute) && Number.isFinite(value) && value >= 0) options[option] = value;
+  });
+
+  return options;
+}
+
+// Outside a browser (e.g. importing the module in Node) there's no HTMLElement to extend
+const BaseElement = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+export class CardDeckElement extends BaseElement {
+  constructor() {
+    super();
+    this.deck = null;
+    // Set before the element is connected to pass options attributes can't express (labels, positions…)
+    this.options = {};
+  }
+
+  connectedCallback() {
+    if (this.deck) return;
+
+    this.classList.add('card-deck');
+    if (!this.hasAttribute('aria-roledescription')) this.setAttribute('aria-roledescription', 'carousel');
+    if (!this.querySelector('[data-carousel-track]')) this.buildMarkup();
+
+    this.deck = new CardDeck(this, { ...optionsFromAttributes(this), ...this.options });
+  }
+
+  disconnectedCallback() {
+    if (!this.deck) return;
+
+    this.deck.destroy();
+    this.deck = null;
+  }
+
+  // Plain children become the cards, with a track, previous/next buttons and a counter around them,
+  // and a rotation control first, before the cards, whenever the deck rotates on its own
+  buildMarkup() {
+    const labels = { ...DEFAULT_OPTIONS.labels, ...(this.options.labels || {}) };
+    const autoplay = { ...DEFAULT_OPTIONS, ...optionsFromAttributes(this), ...this.options }.autoplay;
+    let rotation = null;
+
+    if (autoplay) {
+      rotation = document.createElement('button');
+      rotation.type = 'button';
+      rotation.className = 'card-deck__rotation';
+      rotation.setAttribute('data-carousel-rotation', '');
+      rotation.setAttribute('aria-label', labels.stopRotation);
+      rotation.innerHTML = [
+        '<svg class="card-deck__rotation-pause" width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M9 6V18M15 6V18" stroke="currentColor" stroke-width="2.5" stroke-linecap="round"/></svg>',
+        '<svg class="card-deck__rotation-play" width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M8 5L19 12L8 19Z" fill="currentColor"/></svg>'
+      ].join('');
+    }
+
+    const track = document.createElement('div');
+    track.className = 'card-deck__container';
+    track.setAttribute('data-carousel-track', '');
+    track.setAttribute('aria-live', 'off');
+
+    Array.from(this.children).forEach(child => {
+      child.classList.add('card-deck__card', 'slide');
+      track.appendChild(child);
+    });
+
+    const controls = document.createElement('div');
+    controls.className = 'card-deck__controls';
+    [['prev', 'M15 18L9 12L15 6'], ['next', 'M9 18L15 12L9 6']].forEach(([direction, path]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `card-deck__btn card-deck__btn--${direction}`;
+      button.setAttribute(`data-carousel-${direction}`, '');
+      button.setAttribute('aria-label', labels[direction]);
+      button.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="${path}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
+      controls.appendChild(button);
+    });
+
+    const counter = document.createElement('p');
+    counter.className = 'card-deck__counter';
+    counter.setAttribute('data-carousel-counter', '');
+    counter.setAttribute('aria-hidden', 'true');
+
+    this.append(track, controls, counter);
+    if (rotation) this.prepend(rotation);
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('card-deck')) {
+  customElements.define('card-deck', CardDeckElement);
+}
@@ -4,690 +4,108 @@
  */
 
 
-const PAINTINGS = [
-  {
-      title: 'Ilo',
-      painter: 'taitelija',
-      description: ''
-  },
-  {
-      title: 'Aurinkoinen kaupunki',
-      painter: 'Abdu',
-      description: ''
-  },
-  {
-      title: 'Lilja',
-      painter: 'Miisa',
-      description: 'Lempi kukka'
-  },
-  {
-      title: 'Hopeinen kuu',
-      painter: 'taiteilija',
-      description: ''
-  },
-  {
-      title: 'Kukkamaa',
-      painter: 'Milja',
-      description: ''
-  },
-  {
-      title: 'Monta väriä',
-      painter: 'Anni',
-      description: ''
-  },
-  {
-      title: 'Maisema',
-      painter: 'Jarno',
-      description: ''
-  },
-  {
-      title: 'Sisarusparin sydämen puolikkaat',
-      painter: 'Saana & Johanna',
-      description: 'Taulut sai inspiraation siitä, että tapaismme ensimmäistä kertaa pupukahvilassa'
-  },
-  {
-      title: 'Kurpitsamies',
-      painter: 'TL',
-      description: ''
-  },
-  {
-      title: 'Paras tulevaisuus kokki',
-      painter: 'Mohammad',
-      description: ''
-  },
-  {
-      title: 'Irakin suot',
-      painter: 'Mohammad',
-      description: ''
-  },
-  {
-      title: 'Sudanin lippu',
-      painter: 'Mohammad',
-      description: ''
-  },
-  {
-      title: 'Ystävyyteen kuuluu ilo ja suru',
-      painter: 'Negin',
-      description: ''
-  },
-  {
-      title: 'Maisema',
-      painter: 'Suvi',
-      description: ''
-  },
-  {
-      title: 'Ystävyyden puu',
-      painter: 'Mohammad',
-      description: 'Puu kertoo elämästä. Elämässä on erilaisia ihmisiä, kuten tässä puussa sydämmiä. Kaikki voivat asua yhdessä.'
-  },
-  {
-      title: 'Atte',
-      painter: 'Atte',
-      description: ''
-  },
-  {
-      title: 'Taika',
-      painter: 'Atte',
-      description: ''
-  },
-  {
-      title: 'Rauhallinen paikka',
-      painter: 'Abdirisaq',
-      description: ''
-  },
-  {
-      title: 'Pauliina',
-      painter: 'Pauliina',
-      description: ''
-  },
-  {
-      title: 'Maaseutu',
-      painter: 'Omar',
-      description: ''
-  },
-  {
-      title: 'Nemo ja frendit',
-      painter: 'Valo',
-      description: ''
-  },
-  {
-      title: 'Osku',
-      painter: 'Olkkarin aktiivinen kävijä',
-      description: ''
-  },
-  {
-      title: 'Puu',
-      painter: 'Toni',
-      description: ''
-  },
-  {
-      title: 'Samaa paria',
-      painter: 'Epi',
-      description: ''
-  },
-  {
-      title: 'Marjan Londo',
-      painter: '',
-      description: ''
-  },
-  {
-      title: 'Ilot ja surut',
-      painter: 'Annika',
-      description: ''
-  },
-  {
-      title: 'Karvinen',
-      painter: 'Olkkarin aktiivinen kävijä',
-      description: ''
-  },
-  {
-      title: 'Lippu',
-      painter: 'Ali',
-      description: ''
-  },
-  {
-      title: 'Sekava',
-      painter: 'Ali',
-      description: ''
-  },
-  {
-      title: 'Kesä-autoilu',
-      painter: 'MTJ',
-      description: ''
-  },
-  {
-      title: 'Can\'t rush GREATNESS',
-      painter: 'Shoaib Barati',
-      description: ''
-  },
-  {
-      title: 'Tulevaisuus',
-      painter: 'Marjan',
-      description: ''
-  },
-  {
-      title: 'Aurinkopilvi',
-      painter: '',
-      description: ''
-  },
-  {
-      title: 'Parhaan kaverin kuva',
-      painter: 'Abdu',
-      description: ''
-  },
-  {
-      title: 'Vivid dreams',
-      painter: 'Olampusi Yusuf',
-      description: ''
-  },
-  {
-      title: 'The confession',
-      painter: 'Zaijan Kyle Gonzales',
-      description: ''
-  },
-  {
-      title: 'Inhimillisyys',
-      painter: 'Elcco',
-      description: ''
-  },
-  {
-      title: 'Loma palmun alla',
-      painter: 'Jon',
-      description: ''
-  },
-  {
-      title: 'Metsä',
-      painter: 'NZ',
-      description: ''
-  },
-  {
-      title: 'Kesä & Tammerfest',
-      painter: 'Jon',
-      description: ''
-  },
-  {
-      title: 'Vanha Koti',
-      painter: 'Jimmy',
-      description: ''
-  },
-  {
-      title: '',
-      painter: 'Magic man',
-      description: ''
-  },
-  {
-      title: 'Noor',
-      painter: 'Mohamed',
-      description: 'Picnic'
-  },
-  {
-      title: 'Luonto',
-      painter: 'Saad',
-      description: ''
-  },
-  {
-      title: 'Red flow',
-      painter: 'Ezequiel Alon',
-      description: ''
-  },
-  {
-      title: 'Tapparan suomenmestaruus',
-      painter: 'Tero',
-      description: ''
-  },
-  {
-      title: 'Kissa ja perhonen',
-      painter: 'Melisa',
-      description: ''
-  },
-  {
-      title: 'Preppy uwu kawaii',
-      painter: 'Bingo',
-      description: ''
-  },
-  {
-      title: 'Värien teos',
-      painter: 'Mahomet',
-      description: ''
-  },
-  {
-      title: 'ystävyys',
-      painter: 'That pan sexual flower',
-      description: ''
-  },
-  {
-      title: 'Ponit laitumella',
-      painter: 'N.O.',
-      description: 'Teos kertoo ystävyydestä eläinten välillä. Kuvassa hevoset kihnuttavat kaulojaan kesällä.'
-  },
-  {
-      title: 'Atlantin valtameri & Aaltojen valtameri',
-      painter: 'Eliel Nikkola, Petri Nikkola, Tero Hakala, Lumi Nikkola ja Anton',
-      description: ''
-  },
-  {
-      title: 'Mörköpeli',
-      painter: 'Sari',
-      description: ''
-  },
-  {
-      title: 'Revontulimaisema',
-      painter: 'Suvi',
-      description: ''
-  },
-  {
-      title: 'Aalto',
-      painter: 'S.H.',
-      description: ''
-  },
-  {
-      title: '',
-      painter: 'Abdul Haroh Habizada',
-      description: ''
-  },
-  {
-      title: 'Ikuista',
-      painter: 'Osku',
-      description: ''
-  },
-  {
-      title: 'Kasvit',
-      painter: 'Jarno',
-      description: ''
-  },
-  {
-      title: 'Lippu',
-      painter: 'Sayibou',
-      description: ''
-  },
-  {
-      title: 'Hajj kaaba',
-      painter: 'Noman Haidari',
-      description: ''
-  },
-  {
-      title: 'Mohamed',
-      painter: 'Mohamed',
-      description: ''
-  },
-  {
-      title: 'Nikola',
-      painter: 'Juuso',
-      description: ''
-  },
-  {
-      title: 'art by Anni',
-      painter: 'Anni',
-      description: ''
-  },
-  {
-      title: 'Ystävyyttä kuvaavia heppuja',
-      painter: 'Melissa & Anni',
-      description: ''
-  },
-  {
-      title: 'Rakkaus on',
-      painter: 'Emilia',
-      description: ''
-  },
-  {
-      title: '',
-      painter: 'T.L.',
-      description: ''
-  },
-  {
-      title: '',
-      painter: 'Pauliina',
-      description: ''
-  },
-  {
-      title: 'Nikola',
-      painter: 'Juuso',
-      description: ''
-  }
-]
-
-
-class CardDeck {
-  constructor(element) {
-    this.carousel = element;
-    this.container = this.carousel.querySelector('[data-carousel-track]');
-    this.slides = Array.from(this.carousel.querySelectorAll('.slide'));
-    this.prevBtn = this.carousel.querySelector('[data-carousel-prev]');
-    this.nextBtn = this.carousel.querySelector('[data-carousel-next]');
-    this.indicators = this.carousel.querySelector('[data-carousel-indicators]');
-    this.dots = Array.from(this.carousel.querySelectorAll('[data-carousel-dot]'));
-    
-    this.currentSlide = 0;
-    this.totalSlides = this.slides.length;
-    this.isPlaying = true;
-    this.autoplayInterval = null;
-    this.autoplayDelay = 4000; // 4 seconds
-    this.isAnimating = false;
-    
-    // Touch/swipe properties
-    this.touchStartX = 0;
-    this.touchEndX = 0;
-    this.isDragging = false;
-    
-    this.init();
-  }
-  
-  init() {
-    if (this.totalSlides === 0) return;
-    
-    this.setupEventListeners();
-    this.updateCardPositions();
-    this.updateIndicators();
-    this.startAutoplay();
-    
-    // Set initial ARIA attributes
-    this.carousel.setAttribute('aria-live', 'polite');
-    this.updateAriaLabels();
-  }
-  
-  setupEventListeners() {
-    // Navigation buttons
-    if (this.prevBtn) {
-      this.prevBtn.addEventListener('click', () => this.prevSlide());
-    }
-    
-    if (this.nextBtn) {
-      this.nextBtn.addEventListener('click', () => this.nextSlide());
-    }
-    
-    // Dot indicators
-    this.dots.forEach((dot, index) => {
-      dot.addEventListener('click', () => this.goToSlide(index));
-    });
-    
-    // Keyboard navigation
-    this.carousel.addEventListener('keydown', (e) => this.handleKeydown(e));
-    
-    // Pause on hover/focus
-    this.carousel.addEventListener('mouseenter', () => this.pauseAutoplay());
-    this.carousel.addEventListener('mouseleave', () => this.resumeAutoplay());
-    this.carousel.addEventListener('focusin', () => this.pauseAutoplay());
-    this.carousel.addEventListener('focusout', () => this.resumeAutoplay());
-    
-    // Touch/swipe support
-    this.container.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
-    this.container.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: true });
-    this.container.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: true });
-    
-    // Mouse drag support (optional enhancement)
-    this.container.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-    this.container.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-    this.container.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-    this.container.addEventListener('mouseleave', (e) => this.handleMouseUp(e));
-    
-    // Prevent context menu on long press
-    this.container.addEventListener('contextmenu', (e) => {
-      if (this.isDragging) e.preventDefault();
-    });
-    
-    // Handle visibility change (pause when tab is not active)
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
-        this.pauseAutoplay();
-      } else {
-        this.resumeAutoplay();
-      }
-    });
-  }
-  
-  // Card deck navigation methods
-  nextSlide() {
-    if (this.isAnimating) return;
-    
-    this.isAnimating = true;
-    
-    // Update current slide index
-    this.currentSlide = (this.currentSlide + 1) % this.totalSlides;
-    
-    // Animate and update positions
-    this.updateCardPositions();
-    this.updateIndicators();
-    this.updateAriaLabels();
-    
-    setTimeout(() => {
-      this.isAnimating = false;
-    }, 600);
-  }
-  
-  prevSlide() {
-    if (this.isAnimating) return;
-    
-    this.isAnimating = true;
-    
-    // Update current slide index
-    this.currentSlide = this.currentSlide === 0 ? this.totalSlides - 1 : this.currentSlide - 1;
-    
-    // Animate and update positions
-    this.updateCardPositions();
-    this.updateIndicators();
-    this.updateAriaLabels();
-    
-    setTimeout(() => {
-      this.isAnimating = false;
-    }, 600);
-  }
-  
-  goToSlide(targetIndex) {
-    if (this.isAnimating || targetIndex === this.currentSlide) return;
-    
-    this.currentSlide = targetIndex;
-    this.updateCardPositions();
-    this.updateIndicators();
-    this.updateAriaLabels();
-  }
-  
-  updateCardPositions() {
-    // Define positions for each stack level
-    const positions = [
-      { z: 4, y: 0, rotation: 0, scale: 1, opacity: 1 },
-      { z: 3, y: -8, rotation: -2, scale: 0.98, opacity: 1 },
-      { z: 2, y: -16, rotation: 1, scale: 0.96, opacity: 1 },
-      { z: 1, y: -24, rotation: -1, scale: 0.94, opacity: 1 }
-    ];
-    
-    this.slides.forEach((slide, index) => {
-      // Calculate which position this card should be in
-      const positionIndex = (index - this.currentSlide + this.totalSlides) % this.totalSlides;
-      
-      if (positionIndex < positions.length) {
-        const pos = positions[positionIndex];
-        slide.style.zIndex = pos.z;
-        slide.style.transform = `translateY(${pos.y}px) rotate(${pos.rotation}deg) scale(${pos.scale})`;
-        slide.style.opacity = pos.opacity;
-        slide.style.transition = 'all 600ms cubic-bezier(0.68, -0.55, 0.265, 1.55)';
-      } else {
-        // Cards beyond the 4th position are hidden behind
-        slide.style.zIndex = 0;
-        slide.style.transform = `translateY(-32px) rotate(${Math.random() * 6 - 3}deg) scale(0.9)`;
-        slide.style.opacity = 0;
-        slide.style.transition = 'all 600ms cubic-bezier(0.68, -0.55, 0.265, 1.55)';
-      }
-    });
-  }
-  
-  updateIndicators() {
-    this.dots.forEach((dot, index) => {
-      const isActive = index === this.currentSlide;
-      dot.classList.toggle('card-deck__dot--active', isActive);
-      dot.setAttribute('aria-pressed', isActive.toString());
-    });
-  }
-  
-  updateAriaLabels() {
-    this.slides.forEach((slide, index) => {
-      const isActive = index === this.currentSlide;
-      slide.setAttribute('aria-hidden', (!isActive).toString());
-      
-      if (isActive) {
-        slide.setAttribute('aria-live', 'polite');
-      } else {
-        slide.removeAttribute('aria-live');
-      }
-    });
-    
-    // Update carousel aria-label
-    this.carousel.setAttribute('aria-label', `Kortti ${this.currentSlide + 1}/${this.totalSlides}`);
-  }
-  
-  // Autoplay methods
-  startAutoplay() {
-    if (!this.isPlaying) return;
-    
-    this.autoplayInterval = setInterval(() => {
-      this.nextSlide();
-    }, this.autoplayDelay);
-  }
-  
-  pauseAutoplay() {
-    if (this.autoplayInterval) {
-      clearInterval(this.autoplayInterval);
-      this.autoplayInterval = null;
-    }
-  }
-  
-  resumeAutoplay() {
-    if (this.isPlaying && !this.autoplayInterval) {
-      this.startAutoplay();
-    }
-  }
-  
-  stopAutoplay() {
-    this.isPlaying = false;
-    this.pauseAutoplay();
-  }
-  
-  // Keyboard navigation
-  handleKeydown(e) {
-    switch (e.key) {
-      case 'ArrowLeft':
-        e.preventDefault();
-        this.prevSlide();
-        break;
-      case 'ArrowRight':
-        e.preventDefault();
-        this.nextSlide();
-        break;
-      case 'Home':
-        e.preventDefault();
-        this.goToSlide(0);
-        break;
-      case 'End':
-        e.preventDefault();
-        this.goToSlide(this.totalSlides - 1);
-        break;
-      case ' ': // Spacebar
-      case 'Enter':
-        e.preventDefault();
-        if (this.isPlaying) {
-          this.stopAutoplay();
-        } else {
-          this.isPlaying = true;
-          this.startAutoplay();
-        }
-        break;
-    }
-  }
-  
-  // Touch/swipe handling
-  handleTouchStart(e) {
-    this.touchStartX = e.touches[0].clientX;
-    this.pauseAutoplay();
-  }
-  
-  handleTouchMove(e) {
-    if (!this.touchStartX) return;
-    this.touchEndX = e.touches[0].clientX;
-  }
-  
-  handleTouchEnd(e) {
-    if (!this.touchStartX || !this.touchEndX) {
-      this.resumeAutoplay();
+const CATALOGUE_URL = 'painting_list.jsonl';
+const PAINTINGS_DIR = 'paintings';
+
+// Rendered card width at each breakpoint in styles.css
+const CARD_IMAGE_SIZES = '(max-width: 480px) 320px, (max-width: 768px) 400px, 650px';
+
+/**
+ * Parse the JSON Lines catalogue: one painting object per non-empty line.
+ * Malformed lines are reported with their line number and skipped. Hidden works and
+ * works without consent to show them are left out, and withheld names and description
+ * photos never reach the page, so every view honours the consent.
+ */
+function parseCatalogue(text) {
+  const paintings = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const lineNumber = index + 1;
+    let painting;
+
+    try {
+      painting = JSON.parse(line);
+    } catch (error) {
+      console.warn(`${CATALOGUE_URL}:${lineNumber}: invalid JSON, skipping line (${error.message})`);
       return;
     }
-    
-    const swipeThreshold = 50; // Minimum distance for a swipe
-    const swipeDistance = this.touchStartX - this.touchEndX;
-    
-    if (Math.abs(swipeDistance) > swipeThreshold) {
-      if (swipeDistance > 0) {
-        // Swiped left - go to next slide
-        this.nextSlide();
-      } else {
-        // Swiped right - go to previous slide
-        this.prevSlide();
-      }
+
+    if (!painting || typeof painting !== 'object' || Array.isArray(painting)) {
+      console.warn(`${CATALOGUE_URL}:${lineNumber}: expected an object, skipping line`);
+      return;
     }
-    
-    // Reset touch coordinates
-    this.touchStartX = 0;
-    this.touchEndX = 0;
-    
-    this.resumeAutoplay();
-  }
-  
-  // Mouse drag handling (desktop enhancement)
-  handleMouseDown(e) {
-    e.preventDefault();
-    this.isDragging = true;
-    this.touchStartX = e.clientX;
-    this.container.style.cursor = 'grabbing';
-    this.pauseAutoplay();
-  }
-  
-  handleMouseMove(e) {
-    if (!this.isDragging) return;
-    e.preventDefault();
-    this.touchEndX = e.clientX;
-  }
-  
-  handleMouseUp(e) {
-    if (!this.isDragging) return;
-    
-    this.isDragging = false;
-    this.container.style.cursor = '';
-    
-    if (this.touchStartX && this.touchEndX) {
-      const swipeThreshold = 50;
-      const swipeDistance = this.touchStartX - this.touchEndX;
-      
-      if (Math.abs(swipeDistance) > swipeThreshold) {
-        if (swipeDistance > 0) {
-          this.nextSlide();
-        } else {
-          this.prevSlide();
-        }
-      }
+
+    if (typeof painting.image !== 'string' || !painting.image) {
+      console.warn(`${CATALOGUE_URL}:${lineNumber}: missing "image" filename, skipping line`);
+      return;
     }
-    
-    // Reset coordinates
-    this.touchStartX = 0;
-    this.touchEndX = 0;
-    
-    this.resumeAutoplay();
-  }
-  
-  // Public API methods
-  destroy() {
-    this.pauseAutoplay();
-    // Remove event listeners if needed for cleanup
-  }
-  
-  play() {
-    this.isPlaying = true;
-    this.startAutoplay();
-  }
+
+    // Hidden entries stay in the catalogue but are left out of the exhibition
+    if (painting.hidden === true) return;
+
+    const consent = publishingConsent(painting);
+    if (!consent.image) return;
+
+    const translations = painting.translations && typeof painting.translations === 'object' ? painting.translations : {};
+
+    paintings.push({
+      // Stable id used in links, e.g. "014" for "014.jpg"
+      id: painting.id || painting.image.replace(/\.[^.]+$/, ''),
+      image: painting.image,
+      descriptionImage: consent.descriptionImage ? painting.descriptionImage || '' : '',
+      title: painting.title || '',
+      // An artist who may not be named is credited as "Nimetön taiteilija" and has no artist page
+      painter: consent.name ? painting.painter || '' : t('painting.anonymous'),
+      // Canonical artist names, so spelling variants and collaborations group correctly
+      artists: consent.name && Array.isArray(painting.artists)
+        ? painting.artists.filter(name => typeof name === 'string' && name)
+        : [consent.name && painting.painter].filter(Boolean),
+      description: painting.description || '',
+      // Theme ids such as "ystavyys"; labels come from the tag.<id> interface strings
+      tags: Array.isArray(painting.tags) ? painting.tags.filter(tag => typeof tag === 'string' && tag) : [],
+      // Optional description of what the image shows, used as its alt text
+      alt: consent.name ? painting.alt || '' : '',
+      // Per-language title/description, e.g. { "en": { "title": "..." } }; missing ones fall back to the original
+      translations: consent.name ? translations : withoutAltTexts(translations)
+    });
+  });
+
+  return paintings;
+}
+
+// Alt text: the catalogue's own description of the image if it has one, otherwise title and artist
+function paintingAltText(painting) {
+  const alt = localizedText(painting, 'alt');
+  if (alt) return alt;
   
-  pause() {
-    this.stopAutoplay();
+  const title = localizedText(painting, 'title');
+  if (title && painting.painter) return t('card.altTitlePainter', { title, painter: painting.painter });
+  if (title) return t('card.altTitle', { title });
+  if (painting.painter) return t('card.altPainter', { painter: painting.painter });
+  return t('card.imageAlt');
+}
+
+// "ystavyys" -> "Ystävyys" in the page language; tags without a label are shown as they are
+function tagLabel(tag) {
+  const key = `tag.${tag}`;
+  const label = t(key);
+  return label === key ? tag : label;
+}
+
+// Fetch and parse the exhibition catalogue
+async function fetchCatalogue() {
+  const response = await fetch(CATALOGUE_URL);
+
+  if (!response.ok) {
+    throw new Error(`${CATALOGUE_URL}: HTTP ${response.status}`);
   }
+
+  return parseCatalogue(await response.text());
 }
 
+
 // Mobile navigation toggle functionality
 class MobileNav {
   constructor() {
@@ -786,8 +204,23 @@ function initSmoothScrolling() {
 
 // Initialize everything when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-  // Initialize card deck
-  loadAndBuildCarousel();
+  // Translate static texts before anything reads them
+  translateDocument();
+  
+  const langSwitcher = document.querySelector('[data-lang-switcher]');
+  if (langSwitcher) {
+    new LanguageSwitcher(langSwitcher);
+  }
+  
+  // Initialize card deck; pages without one (the curation tool) only borrow CardDeck
+  if (document.querySelector('[data-carousel]')) {
+    // Kiosk screens lose the page chrome straight away, before the cards arrive
+    if (kioskSettings()) {
+      document.body.classList.add('kiosk');
+    }
+
+    loadAndBuildCarousel();
+  }
   
   // Initialize mobile navigation
   new MobileNav();
@@ -799,6 +232,90 @@ document.addEventListener('DOMContentLoaded', () => {
   document.body.classList.add('loaded');
 });
 
+// The card for one painting, as the exhibition deck shows it
+function createCard(painting) {
+  const card = document.createElement('div');
+  card.className = 'card-deck__card slide';
+  card.setAttribute('data-slide', '');
+  card.dataset.paintingId = painting.id;
+
+  const title = localizedText(painting, 'title');
+  const description = localizedText(painting, 'description');
+
+  // Images are deferred; CardDeck loads them as cards come near the top of the stack
+  const image = renderPicture(painting.image, {
+    alt: paintingAltText(painting),
+    className: 'card-deck__image',
+    sizes: CARD_IMAGE_SIZES,
+    deferred: true
+  });
+  const descImage = painting.descriptionImage ? renderPicture(painting.descriptionImage, {
+    alt: t('card.descriptionAlt'),
+    className: 'card-deck__desc-image',
+    sizes: CARD_IMAGE_SIZES,
+    deferred: true
+  }) : '';
+
+  card.innerHTML = `
+    <div class="card-deck__flipper">
+      <div class="card-deck__face card-deck__front">
+        <div class="card-deck__image-wrapper">
+          ${image}
+          <p class="card-deck__artist">${renderArtistCredit(painting)}</p>
+          ${renderReactionBar()}
+        </div>
+        <div class="card-deck__info">
+          <h3 class="card-deck__title">${escapeHtml(title)}</h3>
+        </div>
+      </div>
+      <div class="card-deck__face card-deck__back" aria-hidden="true">
+        ${descImage}
+        ${description ? `<p class="card-deck__description">${escapeHtml(description)}</p>` : ''}
+        ${painting.tags.length > 0 ? `<ul class="card-deck__tags">${painting.tags.map(tag => `<li class="card-deck__tag">${escapeHtml(tagLabel(tag))}</li>`).join('')}</ul>` : ''}
+      </div>
+    </div>
+    <button type="button" class="card-deck__zoom" data-card-zoom aria-label="${t('card.zoom')}">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+        <circle cx="11" cy="11" r="7" stroke="currentColor" stroke-width="2"/>
+        <path d="M21 21L16 16M11 8V14M8 11H14" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+      </svg>
+    </button>
+    <button type="button" class="card-deck__favourite" data-card-favourite aria-pressed="false" aria-label="${t('card.favourite')}">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+        <path d="M12 3L14.8 8.7L21 9.6L16.5 14L17.6 20.2L12 17.3L6.4 20.2L7.5 14L3 9.6L9.2 8.7L12 3Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>
+      </svg>
+    </button>
+    <button type="button" class="card-deck__flip" data-card-flip aria-pressed="false" aria-label="${t('card.flip')}">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+        <path d="M4 12a8 8 0 0 1 14-5.3L20 9M20 4v5h-5M20 12a8 8 0 0 1-14 5.3L4 15M4 20v-5h5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+      </svg>
+    </button>
+  `;
+
+  return card;
+}
+
+// The deck itself is an ES module (card-deck.js); classic scripts reach it through import()
+function loadCardDeck() {
+  return import('./card-deck.js').then(module => module.CardDeck);
+}
+
+// Site-specific deck options: translated labels, deferred images, and no announcements during the guided tour or on a kiosk screen
+function deckOptions() {
+  return {
+    loadImages: loadDeferredImages,
+    silentHolds: ['tour', 'kiosk'],
+    labels: {
+      slide: t('deck.slide'),
+      position: t('deck.position'),
+      stopRotation: t('deck.stopRotation'),
+      startRotation: t('deck.startRotation'),
+      prev: t('deck.prev'),
+      next: t('deck.next')
+    }
+  };
+}
+
 async function loadAndBuildCarousel() {
   const carouselElement = document.querySelector('[data-carousel]');
   const track = document.querySelector('[data-carousel-track]');
@@ -809,42 +326,68 @@ async function loadAndBuildCarousel() {
   }
 
   try {
+    const [paintings, tours, CardDeck] = await Promise.all([fetchCatalogue(), fetchTours(), loadCardDeck(), loadImageManifest()]);
 
     // Clear existing dummy cards
     track.innerHTML = '';
 
     // Create and append new cards
-    PAINTINGS.forEach((painting, index) => {
-      const card = document.createElement('div');
-      card.className = 'card-deck__card slide';
-      card.setAttribute('data-slide', '');
-
-      // Use index+1 to get image name (e.g., 001.jpg)
-      // Pad with leading zeros to match filenames like '001.jpg', '002.jpg'
-      const imageNumber = String(index + 1).padStart(3, '0');
-      const imageUrl = `paintings/${imageNumber}.jpg`;
-
-      card.innerHTML = `
-        <div class="card-deck__image-wrapper">
-          <img src="${imageUrl}" alt="${painting.title || 'Taideteos'}" class="card-deck__image">
-          <p class="card-deck__artist">${painting.painter}</p>
-        </div>
-        <div class="card-deck__info">
-          <h3 class="card-deck__title">${painting.title}</h3>
-        </div>
-      `;
-      track.appendChild(card);
-    });
+    paintings.forEach(painting => track.appendChild(createCard(painting)));
 
     // Initialize the carousel AFTER the cards have been added
     if (carouselElement) {
-      new CardDeck(carouselElement);
-    }
+      const deck = CardDeck.attach(carouselElement, { ...deckOptions(), shuffleSeed: initialShuffleSeed() });
+      const lightbox = new Lightbox(deck);
+      // Before DeckHistory, so a view opened from a shared link is counted
+      createEngagementStats(deck);
+
+      // Before DeckHistory too: a card named in the address wins over the one reached last time
+      const shuffleElement = document.querySelector('[data-shuffle-toggle]');
+      if (shuffleElement) {
+        new DeckShuffle(shuffleElement, deck);
+      }
+      new DeckHistory(deck);
+
+      const searchElement = document.querySelector('[data-search]');
+      const search = searchElement ? new ExhibitionSearch(searchElement, paintings, deck) : null;
+
+      new VisitorReactions(deck, createReactionStore());
+
+      const favouritesElement = document.querySelector('[data-favourites-toggle]');
+      if (favouritesElement) {
+        new Favourites(favouritesElement, deck, search);
+      }
+
+      const toursElement = document.querySelector('[data-tour-picker]');
+      if (toursElement) {
+        new CuratedTours(toursElement, tours, deck, search);
+      }
+
+      const artistsElement = document.querySelector('[data-artists]');
+      if (artistsElement) {
+        new ArtistIndex(artistsElement, paintings);
+      }
+
+      const galleryElement = document.querySelector('[data-gallery]');
+      if (galleryElement) {
+        new GalleryView(galleryElement, paintings, deck);
+      }
 
-    // Handle reduced motion preference
-    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-      if (carouselElement && carouselElement.cardDeck) {
-        carouselElement.cardDeck.stopAutoplay();
+      const filmstripElement = document.querySelector('[data-filmstrip]');
+      if (filmstripElement) {
+        new Filmstrip(filmstripElement, paintings, deck);
+      }
+
+      const tourElement = document.querySelector('[data-tour]');
+      if (tourElement) {
+        new GuidedTour(tourElement, paintings, deck);
+      }
+
+      new OfflineSupport(paintings);
+
+      const kiosk = kioskSettings();
+      if (kiosk) {
+        new KioskMode(deck, lightbox, kiosk);
       }
     }
 
@@ -854,13 +397,3 @@ async function loadAndBuildCarousel() {
   }
 }
 
-// Handle reduced motion preference
-if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-  // Disable autoplay for users who prefer reduced motion
-  document.addEventListener('DOMContentLoaded', () => {
-    const carouselElement = document.querySelector('[data-carousel]');
-    if (carouselElement && carouselElement.cardDeck) {
-      carouselElement.cardDeck.stopAutoplay();
-    }
-  });
-}
@@ -0,0 +1,32 @@
+/**
+ * Publishing consent for the Solidarity Project exhibition
+ * The one rule for what may be published of a catalogue entry. carousel.js applies it
+ * to the catalogue every page reads, and tools/catalogue.js loads this same file for
+ * the generated artwork pages, the deployed catalogue and images, and the consent report.
+ */
+
+// What may be published of an entry: its image, the artist's name and the handwritten description
+// photo. Entries from before consent was recorded have no "consent" and are shown in full until
+// it is; tools/consent-report.js lists them. From the withdrawal date on, the image may not be shown
+function publishingConsent(entry, today = new Date().toISOString().slice(0, 10)) {
+  const consent = entry.consent;
+  if (!consent || typeof consent !== 'object') {
+    return { image: true, name: true, descriptionImage: true };
+  }
+
+  const isWithdrawn = typeof consent.withdrawal === 'string' && consent.withdrawal <= today;
+  return {
+    image: consent.image === true && !isWithdrawn,
+    name: consent.name === true,
+    descriptionImage: consent.descriptionImage === true
+  };
+}
+
+// Alt texts are written freely and often name the artist, so a withheld name takes them along;
+// the card then falls back to the title and the anonymous credit
+function withoutAltTexts(translations) {
+  return Object.fromEntries(Object.entries(translations).map(([lang, fields]) => {
+    const { alt, ...rest } = fields && typeof fields === 'object' ? fields : {};
+    return [lang, rest];
+  }));
+}
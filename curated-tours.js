@@ -0,0 +1,151 @@
+/**
+ * Curated tours for the Solidarity Project exhibition
+ * Named, ordered selections of works from tours.jsonl. Picking one makes the card deck
+ * cycle through just that tour, in the curated order, starting from an intro card.
+ */
+
+const TOURS_URL = 'tours.jsonl';
+
+// Parse tours.jsonl, one tour per line; broken lines are skipped with a warning
+function parseTours(text) {
+  const tours = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const lineNumber = index + 1;
+    let tour;
+
+    try {
+      tour = JSON.parse(line);
+    } catch (error) {
+      console.warn(`${TOURS_URL}:${lineNumber}: invalid JSON, skipping line (${error.message})`);
+      return;
+    }
+
+    if (!tour || typeof tour.id !== 'string' || !tour.id || !Array.isArray(tour.paintings)) {
+      console.warn(`${TOURS_URL}:${lineNumber}: expected an object with "id" and a "paintings" list, skipping line`);
+      return;
+    }
+
+    tours.push({
+      id: tour.id,
+      title: tour.title || tour.id,
+      intro: tour.intro || '',
+      // Painting ids ("014") in the order the tour visits them
+      paintings: tour.paintings.filter(id => typeof id === 'string' && id),
+      translations: tour.translations && typeof tour.translations === 'object' ? tour.translations : {}
+    });
+  });
+
+  return tours;
+}
+
+// Tours are optional: without the file the exhibition simply has no tour picker
+async function fetchTours() {
+  try {
+    const response = await fetch(TOURS_URL);
+    return response.ok ? parseTours(await response.text()) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+class CuratedTours {
+  constructor(element, tours, deck, search) {
+    this.picker = element;
+    this.deck = deck;
+    this.search = search;
+    this.select = this.picker.querySelector('[data-tour-select]');
+
+    // Tours only list works that are actually in the catalogue
+    const slidesById = new Map(this.deck.allSlides.map(slide => [slide.dataset.paintingId, slide]));
+    this.tours = tours
+      .map(tour => ({ ...tour, slides: tour.paintings.map(id => slidesById.get(id)).filter(Boolean) }))
+      .filter(tour => tour.slides.length > 0);
+
+    this.activeTour = null;
+    this.activeSlides = null;
+    this.introCard = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.select || this.tours.length === 0) return;
+
+    this.tours.forEach(tour => {
+      const option = document.createElement('option');
+      option.value = tour.id;
+      option.textContent = localizedText(tour, 'title');
+      this.select.appendChild(option);
+    });
+
+    this.picker.hidden = false;
+    this.select.addEventListener('change', () => this.selectTour(this.select.value));
+
+    // Searching replaces the tour's selection; the picker then goes back to the whole exhibition
+    this.deck.carousel.addEventListener('slidechange', (e) => {
+      if (this.activeTour && e.detail.source === 'filter' && this.deck.slides !== this.activeSlides) {
+        this.endTour();
+      }
+    });
+  }
+
+  selectTour(id) {
+    const tour = this.tours.find(candidate => candidate.id === id);
+
+    if (!tour) {
+      this.endTour();
+      this.deck.showAll();
+      return;
+    }
+
+    // A tour starts from the whole collection, not from earlier search results
+    if (this.search) this.search.reset();
+
+    this.removeIntroCard();
+    this.introCard = this.createIntroCard(tour);
+    this.deck.container.appendChild(this.introCard);
+
+    this.activeTour = tour;
+    this.activeSlides = [this.introCard, ...tour.slides];
+    this.deck.showOnly(this.activeSlides);
+
+    // showOnly() keeps the current painting if the tour includes it; a tour always opens with its intro
+    this.deck.goToSlide(0, 'filter');
+    this.deck.resumeAutoplay();
+  }
+
+  endTour() {
+    this.activeTour = null;
+    this.activeSlides = null;
+    this.select.value = '';
+    this.removeIntroCard();
+  }
+
+  createIntroCard(tour) {
+    const card = document.createElement('div');
+    card.className = 'card-deck__card card-deck__card--intro slide';
+    card.setAttribute('data-slide', '');
+    card.dataset.tourIntro = tour.id;
+
+    card.innerHTML = `
+      <div class="card-deck__intro">
+        <p class="card-deck__intro-label">${t('tours.label')}</p>
+        <h3 class="card-deck__title">${escapeHtml(localizedText(tour, 'title'))}</h3>
+        ${tour.intro ? `<p class="card-deck__intro-text">${escapeHtml(localizedText(tour, 'intro'))}</p>` : ''}
+        <p class="card-deck__intro-count">${t('works.count', { count: tour.slides.length })}</p>
+      </div>
+    `;
+
+    return card;
+  }
+
+  removeIntroCard() {
+    if (this.introCard) {
+      this.introCard.remove();
+      this.introCard = null;
+    }
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Deep links and browser history for the Solidarity Project card deck
+ * Every painting has its own URL (#teos/014); Back/Forward move the deck.
+ */
+
+class DeckHistory {
+  constructor(deck) {
+    this.deck = deck;
+    this.hashPrefix = '#teos/';
+
+    // Quick successive clicks replace the last entry instead of adding one per card
+    this.coalesceDelay = 1000;
+    this.lastPushTime = 0;
+
+    this.init();
+  }
+
+  init() {
+    // Honour a shared link on load without adding a history entry; a pre-rendered artwork page
+    // (teos/014/, see tools/build-site.js) opens on its own artwork
+    const initialId = this.deck.carousel.dataset.initialPainting;
+    const index = window.location.hash ? this.indexFromHash(window.location.hash) : this.indexFromId(initialId);
+    if (index >= 0) {
+      this.deck.goToSlide(index, 'history');
+    }
+    this.updateTitle();
+
+    this.deck.carousel.addEventListener('slidechange', (e) => this.handleSlideChange(e.detail));
+    window.addEventListener('popstate', () => this.handlePopState());
+  }
+
+  // "014" -> slide index, -1 if the hash doesn't point to a painting in the deck
+  indexFromHash(hash) {
+    if (!hash.startsWith(this.hashPrefix)) return -1;
+
+    return this.indexFromId(decodeURIComponent(hash.slice(this.hashPrefix.length)));
+  }
+
+  indexFromId(id) {
+    return this.deck.slides.findIndex(slide => slide.dataset.paintingId === id);
+  }
+
+  hashForSlide(slide) {
+    return `${this.hashPrefix}${encodeURIComponent(slide.dataset.paintingId)}`;
+  }
+
+  handleSlideChange({ slide, source }) {
+    this.updateTitle();
+
+    // Intro cards of curated tours aren't paintings and get no link of their own
+    if (source === 'history' || !slide || !slide.dataset.paintingId) return;
+
+    const hash = this.hashForSlide(slide);
+    if (hash === window.location.hash) return;
+
+    const now = Date.now();
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+
+    // Autoplay and filtering only keep the current entry up to date so Back still leaves the page
+    if (source !== 'user' || now - this.lastPushTime < this.coalesceDelay) {
+      history.replaceState({ paintingId: slide.dataset.paintingId }, '', url);
+    } else {
+      history.pushState({ paintingId: slide.dataset.paintingId }, '', url);
+    }
+
+    if (source === 'user') {
+      this.lastPushTime = now;
+    }
+  }
+
+  handlePopState() {
+    const { hash } = window.location;
+
+    // Plain section anchors (#about, #team) are not ours to handle
+    if (hash && !hash.startsWith(this.hashPrefix)) return;
+
+    const index = hash ? this.indexFromHash(hash) : 0;
+    if (index >= 0) {
+      this.deck.goToSlide(index, 'history');
+
+      // Links to a painting from elsewhere on the page (e.g. artist pages) bring the deck into view
+      if (hash) {
+        this.deck.carousel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+    }
+  }
+
+  updateTitle() {
+    const slide = this.deck.slides[this.deck.currentSlide];
+    const title = slide && slide.querySelector('.card-deck__title');
+    const titleText = title ? title.textContent.trim() : '';
+    // The site's name, not document.title: an artwork page's <title> already names its artwork
+    const baseTitle = t('page.title');
+
+    document.title = titleText ? `${titleText} – ${baseTitle}` : baseTitle;
+  }
+}
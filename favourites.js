@@ -0,0 +1,125 @@
+/**
+ * Personal favourites for the Solidarity Project exhibition
+ * Visitors mark paintings on the cards; the list stays in localStorage and can be
+ * shown as a deck of its own.
+ */
+
+const FAVOURITES_STORAGE_KEY = 'solidaariset:favourites';
+
+class Favourites {
+  constructor(element, deck, search) {
+    this.toggleBtn = element;
+    this.deck = deck;
+    this.search = search;
+    this.countLabel = this.toggleBtn.querySelector('[data-favourites-count]');
+
+    this.ids = this.load();
+    this.activeSlides = null;
+
+    this.init();
+  }
+
+  init() {
+    this.deck.container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-card-favourite]');
+      const slide = button && button.closest('.slide');
+      if (slide) this.toggleFavourite(slide.dataset.paintingId);
+    });
+
+    this.toggleBtn.addEventListener('click', () => {
+      if (this.activeSlides) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    // A search or a curated tour replaced the favourites deck
+    this.deck.carousel.addEventListener('slidechange', (e) => {
+      if (this.activeSlides && e.detail.source === 'filter' && this.deck.slides !== this.activeSlides) {
+        this.activeSlides = null;
+        this.updateControls();
+      }
+    });
+
+    this.updateControls();
+  }
+
+  isFavourite(paintingId) {
+    return this.ids.includes(paintingId);
+  }
+
+  toggleFavourite(paintingId) {
+    if (this.isFavourite(paintingId)) {
+      this.ids = this.ids.filter(id => id !== paintingId);
+    } else {
+      this.ids.push(paintingId);
+    }
+    this.save();
+
+    // Keep an open favourites deck in step; the last one removed closes it
+    if (this.activeSlides) {
+      if (this.ids.length > 0) {
+        this.open();
+      } else {
+        this.close();
+      }
+    }
+    this.updateControls();
+  }
+
+  // Favourites in the order they were added
+  favouriteSlides() {
+    const slidesById = new Map(this.deck.allSlides.map(slide => [slide.dataset.paintingId, slide]));
+    return this.ids.map(id => slidesById.get(id)).filter(Boolean);
+  }
+
+  open() {
+    const slides = this.favouriteSlides();
+    if (slides.length === 0) return;
+
+    // Start from the whole collection, not from earlier search results
+    if (this.search && !this.activeSlides) this.search.reset();
+
+    this.activeSlides = slides;
+    this.deck.showOnly(slides);
+    this.updateControls();
+  }
+
+  close() {
+    this.activeSlides = null;
+    this.deck.showAll();
+    this.updateControls();
+  }
+
+  updateControls() {
+    const count = this.favouriteSlides().length;
+
+    this.toggleBtn.setAttribute('aria-pressed', Boolean(this.activeSlides).toString());
+    this.toggleBtn.disabled = count === 0 && !this.activeSlides;
+    if (this.countLabel) this.countLabel.textContent = count.toLocaleString(getLanguage());
+
+    this.deck.allSlides.forEach(slide => {
+      const button = slide.querySelector('[data-card-favourite]');
+      if (button) button.setAttribute('aria-pressed', this.isFavourite(slide.dataset.paintingId).toString());
+    });
+  }
+
+  // localStorage can throw in private browsing; favourites then last for the visit only
+  load() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(FAVOURITES_STORAGE_KEY));
+      return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(FAVOURITES_STORAGE_KEY, JSON.stringify(this.ids));
+    } catch (error) {
+      // Ignore storage errors
+    }
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Thumbnail filmstrip for the Solidarity Project card deck
+ * A scrollable listbox under the deck: click a thumbnail, drag to scrub or use the arrow keys.
+ */
+
+// Thumbnails are drawn at 64px (48px on narrow phones)
+const FILMSTRIP_SIZES = '64px';
+
+class Filmstrip {
+  constructor(element, paintings, deck) {
+    this.filmstrip = element;
+    this.paintings = paintings;
+    this.deck = deck;
+    this.list = this.filmstrip.querySelector('[data-filmstrip-list]');
+
+    this.dragThreshold = 6; // Pixels the pointer moves before a press becomes a drag
+    this.drag = null;
+    this.hasDragged = false;
+    this.scrubFrame = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.list) return;
+
+    this.render();
+    this.setupEventListeners();
+    this.syncWithDeck();
+  }
+
+  render() {
+    this.list.innerHTML = '';
+
+    this.paintings.forEach((painting) => {
+      const option = document.createElement('li');
+      option.className = 'filmstrip__option';
+      option.id = `filmstrip-${painting.id}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.paintingId = painting.id;
+
+      const title = localizedText(painting, 'title') || t('painting.untitled');
+      const label = [title, painting.painter].filter(Boolean).join(', ');
+
+      option.innerHTML = `
+        ${renderPicture(painting.image, { className: 'filmstrip__image', sizes: FILMSTRIP_SIZES })}
+        <span class="sr-only">${escapeHtml(label)}</span>
+      `;
+      this.list.appendChild(option);
+    });
+
+    this.options = Array.from(this.list.querySelectorAll('[role="option"]'));
+  }
+
+  setupEventListeners() {
+    this.list.addEventListener('click', (e) => {
+      // A drag ends with a click on whatever is under the pointer; that's not a choice
+      if (this.hasDragged) {
+        this.hasDragged = false;
+        return;
+      }
+
+      const option = e.target.closest('[role="option"]');
+      if (option) this.selectOption(option);
+    });
+
+    this.list.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    // Drag scrubbing with mouse, pen and touch alike
+    this.list.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.list.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.list.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.list.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+    this.list.addEventListener('dragstart', (e) => e.preventDefault());
+
+    this.deck.carousel.addEventListener('slidechange', () => this.syncWithDeck());
+  }
+
+  selectOption(option) {
+    const index = this.deck.slides.findIndex(slide => slide.dataset.paintingId === option.dataset.paintingId);
+    if (index !== -1) this.deck.goToSlide(index);
+  }
+
+  // Listbox keys; selection follows focus, so the deck moves with every key press
+  handleKeydown(e) {
+    const isRtl = this.deck.isRtl();
+    const last = this.deck.totalSlides - 1;
+    let target;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+        target = this.deck.currentSlide + (isRtl ? 1 : -1);
+        break;
+      case 'ArrowRight':
+        target = this.deck.currentSlide + (isRtl ? -1 : 1);
+        break;
+      case 'Home':
+        target = 0;
+        break;
+      case 'End':
+        target = last;
+        break;
+      default:
+        return;
+    }
+
+    // Keep the deck's own arrow key handling from moving it a second time
+    e.preventDefault();
+    e.stopPropagation();
+    this.deck.goToSlide(Math.max(0, Math.min(target, last)));
+  }
+
+  // Mirror the deck: same subset of paintings (e.g. search results) and the same current painting
+  syncWithDeck() {
+    const slide = this.deck.slides[this.deck.currentSlide];
+    const currentId = slide ? slide.dataset.paintingId : null;
+    const visibleIds = new Set(this.deck.slides.map(s => s.dataset.paintingId));
+    const deckOrder = new Map(this.deck.slides.map((s, index) => [s.dataset.paintingId, index]));
+    let current = null;
+
+    this.options.forEach(option => {
+      const isCurrent = option.dataset.paintingId === currentId;
+      option.hidden = !visibleIds.has(option.dataset.paintingId);
+      // Curated tours visit the works in their own order
+      option.style.order = deckOrder.get(option.dataset.paintingId) || 0;
+      option.classList.toggle('filmstrip__option--current', isCurrent);
+      option.setAttribute('aria-selected', isCurrent.toString());
+      if (isCurrent) current = option;
+    });
+
+    if (current) {
+      this.list.setAttribute('aria-activedescendant', current.id);
+    } else {
+      this.list.removeAttribute('aria-activedescendant');
+    }
+
+    // While scrubbing the strip is where the user put it
+    if (current && !(this.drag && this.drag.isDragging)) {
+      this.scrollToOption(current);
+    }
+  }
+
+  // Centre the option in the strip without scrolling the page; works the same in RTL
+  scrollToOption(option) {
+    const listRect = this.list.getBoundingClientRect();
+    const rect = option.getBoundingClientRect();
+    const offset = (rect.left + rect.width / 2) - (listRect.left + listRect.width / 2);
+
+    this.list.scrollBy({
+      left: offset,
+      behavior: this.deck.reducedMotion.matches ? 'auto' : 'smooth'
+    });
+  }
+
+  handlePointerDown(e) {
+    if (e.button !== 0) return;
+
+    this.drag = { pointerId: e.pointerId, startX: e.clientX, lastX: e.clientX, isDragging: false };
+    this.hasDragged = false;
+  }
+
+  handlePointerMove(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+    if (!this.drag.isDragging) {
+      if (Math.abs(e.clientX - this.drag.startX) < this.dragThreshold) return;
+
+      this.drag.isDragging = true;
+      this.hasDragged = true;
+      this.list.setPointerCapture(e.pointerId);
+      this.filmstrip.classList.add('filmstrip--dragging');
+    }
+
+    this.list.scrollLeft -= e.clientX - this.drag.lastX;
+    this.drag.lastX = e.clientX;
+    this.scheduleScrub();
+  }
+
+  handlePointerUp(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+    const wasDragging = this.drag.isDragging;
+    this.drag = null;
+
+    if (wasDragging) {
+      this.filmstrip.classList.remove('filmstrip--dragging');
+      this.scrub();
+      this.syncWithDeck();
+    }
+  }
+
+  // At most one deck move per frame while the strip is dragged
+  scheduleScrub() {
+    if (this.scrubFrame) return;
+
+    this.scrubFrame = requestAnimationFrame(() => {
+      this.scrubFrame = null;
+      this.scrub();
+    });
+  }
+
+  // The deck follows the thumbnail under the middle of the strip
+  scrub() {
+    const listRect = this.list.getBoundingClientRect();
+    const middle = listRect.left + listRect.width / 2;
+
+    const option = this.options.find(o => {
+      if (o.hidden) return false;
+      const rect = o.getBoundingClientRect();
+      return rect.left <= middle && rect.right >= middle;
+    });
+
+    if (option) this.selectOption(option);
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Grid gallery view for the Solidarity Project exhibition
+ * Shows the whole catalogue as thumbnails and can be swapped with the card deck.
+ */
+
+class GalleryView {
+  constructor(element, paintings, deck) {
+    this.gallery = element;
+    this.paintings = paintings;
+    this.deck = deck;
+    this.grid = this.gallery.querySelector('[data-gallery-grid]');
+    this.toggleBtns = Array.from(document.querySelectorAll('[data-view-toggle]'));
+
+    this.storageKey = 'solidaariset:view';
+    this.view = 'deck';
+
+    this.init();
+  }
+
+  init() {
+    if (!this.grid) return;
+
+    this.render();
+    this.setupEventListeners();
+    this.setView(this.loadView());
+  }
+
+  render() {
+    this.grid.innerHTML = '';
+
+    this.paintings.forEach((painting) => {
+      const item = document.createElement('li');
+      item.className = 'gallery__item';
+
+      item.innerHTML = `
+        <button type="button" class="gallery__tile" data-gallery-tile data-painting-id="${escapeHtml(painting.id)}">
+          ${renderPicture(painting.image, { className: 'gallery__image', sizes: THUMBNAIL_SIZES })}
+          <span class="gallery__caption">
+            <span class="gallery__title">${escapeHtml(localizedText(painting, 'title') || t('painting.untitled'))}</span>
+            <span class="gallery__painter">${escapeHtml(painting.painter)}</span>
+          </span>
+        </button>
+      `;
+      this.grid.appendChild(item);
+    });
+
+    this.tiles = Array.from(this.grid.querySelectorAll('[data-gallery-tile]'));
+    this.syncWithDeck();
+  }
+
+  setupEventListeners() {
+    this.toggleBtns.forEach(btn => {
+      btn.addEventListener('click', () => this.setView(btn.dataset.viewToggle, true));
+    });
+
+    // Opening a tile shows that painting in the card deck
+    this.grid.addEventListener('click', (e) => {
+      const tile = e.target.closest('[data-gallery-tile]');
+      if (tile) this.openInDeck(tile.dataset.paintingId);
+    });
+
+    this.deck.carousel.addEventListener('slidechange', () => this.syncWithDeck());
+  }
+
+  setView(view, remember = false) {
+    this.view = view === 'gallery' ? 'gallery' : 'deck';
+    const isGallery = this.view === 'gallery';
+
+    this.gallery.hidden = !isGallery;
+    this.deck.carousel.hidden = isGallery;
+
+    this.toggleBtns.forEach(btn => {
+      btn.setAttribute('aria-pressed', (btn.dataset.viewToggle === this.view).toString());
+    });
+
+    // Nobody is watching the deck while the grid is up
+    if (isGallery) {
+      this.deck.holdAutoplay('gallery');
+    } else {
+      this.deck.releaseAutoplay('gallery');
+      this.deck.resumeAutoplay();
+    }
+
+    if (remember) {
+      this.saveView();
+
+      if (isGallery) this.scrollToCurrentTile();
+    }
+  }
+
+  openInDeck(paintingId) {
+    const index = this.deck.slides.findIndex(slide => slide.dataset.paintingId === paintingId);
+    if (index === -1) return;
+
+    this.setView('deck', true);
+    this.deck.goToSlide(index);
+
+    const slide = this.deck.slides[this.deck.currentSlide];
+    const focusTarget = slide && slide.querySelector('button');
+    if (focusTarget) focusTarget.focus();
+  }
+
+  // Mirror the deck: same subset of paintings (e.g. search results) and the same current painting
+  syncWithDeck() {
+    const slide = this.deck.slides[this.deck.currentSlide];
+    const currentId = slide ? slide.dataset.paintingId : null;
+    const visibleIds = new Set(this.deck.slides.map(s => s.dataset.paintingId));
+    const deckOrder = new Map(this.deck.slides.map((s, index) => [s.dataset.paintingId, index]));
+
+    this.tiles.forEach(tile => {
+      const isCurrent = tile.dataset.paintingId === currentId;
+      tile.parentElement.hidden = !visibleIds.has(tile.dataset.paintingId);
+      // Curated tours show the works in their own order
+      tile.parentElement.style.order = deckOrder.get(tile.dataset.paintingId) || 0;
+      tile.classList.toggle('gallery__tile--current', isCurrent);
+
+      if (isCurrent) {
+        tile.setAttribute('aria-current', 'true');
+      } else {
+        tile.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  scrollToCurrentTile() {
+    const tile = this.tiles.find(t => t.classList.contains('gallery__tile--current'));
+    if (tile) tile.scrollIntoView({ block: 'nearest' });
+  }
+
+  // localStorage can throw in private browsing; the view then just isn't remembered
+  loadView() {
+    try {
+      return localStorage.getItem(this.storageKey) || 'deck';
+    } catch (error) {
+      return 'deck';
+    }
+  }
+
+  saveView() {
+    try {
+      localStorage.setItem(this.storageKey, this.view);
+    } catch (error) {
+      // Ignore storage errors
+    }
+  }
+}
@@ -0,0 +1,504 @@
+/**
+ * Interface languages for the Solidarity Project exhibition (fi/en/sv/ar)
+ * Static markup is translated through data-i18n* attributes, scripts call t().
+ * Finnish is the original language and the fallback for every missing string.
+ */
+
+const DEFAULT_LANGUAGE = 'fi';
+const RTL_LANGUAGES = ['ar'];
+const LANGUAGE_STORAGE_KEY = 'solidaariset:lang';
+
+// Plural messages are objects keyed by Intl.PluralRules category and use {count}
+const MESSAGES = {
+  fi: {
+    'page.title': 'Solidaariset nuoret',
+    'meta.description': 'Solidaariset nuoret on hyväntekeväisyysprojekti, joka kannustaa nuoria luovuuteen, leikkisyyteen ja itseilmaisuun.',
+    'header.home': 'Solidaariset nuoret - Etusivu',
+    'header.logoAlt': 'Solidaariset nuoret',
+    'nav.label': 'Päänavigaatio',
+    'nav.open': 'Avaa navigaatio',
+    'nav.about': 'Tietoa',
+    'nav.artists': 'Taiteilijat',
+    'nav.team': 'Tiimi',
+    'lang.label': 'Kieli',
+    'hero.label': 'Taideteosten korttipakka',
+    'hero.title': 'Solidaariset nuoret virtuaalitaidenäyttely',
+    'view.label': 'Näkymä',
+    'view.deck': 'Korttipakka',
+    'view.gallery': 'Galleria',
+    'filmstrip.label': 'Kaikki teokset pienoiskuvina',
+    'search.label': 'Hae teoksia',
+    'search.placeholder': 'Hae teosta, taiteilijaa tai kuvausta',
+    'search.results': { one: '{count} teos löytyi', other: '{count} teosta löytyi' },
+    'search.empty': 'Haulla "{query}" ei löytynyt yhtään teosta.',
+    'tours.pick': 'Kierros',
+    'tours.all': 'Koko näyttely',
+    'tours.label': 'Kierros',
+    'tag.ystavyys': 'Ystävyys',
+    'tag.luonto': 'Luonto',
+    'tag.tulevaisuus': 'Tulevaisuus',
+    'tag.tunteet': 'Tunteet',
+    'tag.juuret': 'Juuret',
+    'tag.kesa': 'Kesä',
+    'tour.toggle': 'Opastettu äänikierros',
+    'tour.pause': 'Tauko',
+    'tour.skip': 'Seuraava teos',
+    'tour.voice': 'Ääni',
+    'tour.voiceAuto': 'Automaattinen',
+    'tour.rate': 'Nopeus',
+    'tour.by': 'Tekijä: {painter}',
+    'deck.prev': 'Edellinen kortti',
+    'deck.next': 'Seuraava kortti',
+    'deck.slide': 'kortti',
+    'deck.position': '{current} / {total}',
+    'deck.stopRotation': 'Pysäytä automaattinen vaihto',
+    'deck.startRotation': 'Käynnistä automaattinen vaihto',
+    'card.imageAlt': 'Taideteos',
+    'card.altTitlePainter': 'Taideteos ”{title}”, tekijä {painter}',
+    'card.altTitle': 'Taideteos ”{title}”',
+    'card.altPainter': 'Nimetön taideteos, tekijä {painter}',
+    'card.descriptionAlt': 'Taiteilijan käsin kirjoittama kuvaus teoksesta',
+    'card.zoom': 'Avaa teos koko näytölle',
+    'card.flip': 'Käännä kortti ja näytä kuvaus',
+    'favourites.show': 'Omat suosikit',
+    'shuffle.toggle': 'Sekoita järjestys',
+    'card.favourite': 'Suosikki',
+    'reactions.label': 'Reaktiot',
+    'reactions.heart': 'Sydän',
+    'reactions.wow': 'Vau',
+    'reactions.smile': 'Hymy',
+    'reactions.clap': 'Aplodit',
+    'reactions.slowDown': 'Hetkinen! Reagoit juuri monta kertaa, joten viimeisin reaktio jäi tallentamatta.',
+    'reactions.failed': 'Reaktiota ei voitu tallentaa. Yritä myöhemmin uudelleen.',
+    'painting.untitled': 'Nimetön',
+    'painting.anonymous': 'Nimetön taiteilija',
+    'works.count': { one: '{count} teos', other: '{count} teosta' },
+    'lightbox.close': 'Sulje',
+    'lightbox.prev': 'Edellinen teos',
+    'lightbox.next': 'Seuraava teos',
+    'artists.title': 'Taiteilijat',
+    'artists.showAll': 'Kaikki taiteilijat',
+    'about.handAlt': 'Art is hot hand',
+    'about.lead': 'Solidaaristen nuorten virtuaalitaidenäyttely kokoaa yhteen vuosien 2024-2025 aikana järjestettyjen nuorten maksuttomien taidetyöpajojen teoksia. Työpajat järjestettiin osana Euroopan solidaarisuusjoukkojen solidaarisuushanketta, jossa nuoret toimivat yhdessä heille tärkeiden asioiden edistämiseksi. Näyttelyssä esillä olevat teokset heijastavat nuorten näkemyksiä erilaisista heille merkityksellisistä aiheista, kuten ystävyydestä, tulevaisuudesta ja luonnosta.',
+    'about.text': 'Solidaarisuushankkeen taidetyöpajat on toteutettu kuuden tamperelaisen nuoren voimin toisille nuorille. Pyrimme hankkeessamme taiteen ja yhdessä tekemisen keinoin edistämään nuorten osallisuutta, yhdenvertaisuutta sekä luomaan harrastusmahdollisuuksia. Hankkeen toteutuksessa on huomioitu myös kestävä kehitys ja pyrimme hyödyntämään kierrätysmateriaaleja sekä ekologisia työvälineitä toiminnassamme. Idea taidetyöpaja-toimintaan on kummunnut omista huomioistamme ja halustamme vaikuttaa nuorten hyvinvointiin. Virtuaalinäyttely toimii hankkeemme taiteellisena lopputuloksena sekä todisteena siitä, miten taide voi yhdistää, avartaa ja koskettaa.',
+    'team.title': 'Tapaa tiimimme',
+    'team.imageAlt': 'Solidarity Project team',
+    'footer.logoAlt': 'EU Solidarity Project logo',
+    'footer.copyright': '© 2024 Solidarity Project. Kaikki oikeudet pidätetään.',
+    'offline.download': 'Lataa koko näyttely laitteelle',
+    'offline.reloadFirst': 'Lataus onnistuu, kun sivu on ladattu uudelleen.',
+    'offline.progress': 'Ladataan {done}/{total}…',
+    'offline.failed': 'Osa kuvista ({count}) jäi lataamatta. Yritä uudelleen verkkoyhteyden ollessa kunnossa.',
+    'offline.done': 'Koko näyttely on tallennettu laitteelle ja toimii ilman verkkoyhteyttä.',
+    'update.text': 'Näyttelystä on saatavilla uusi versio.',
+    'update.button': 'Päivitä',
+    'kiosk.qr': 'Avaa teos puhelimella',
+    'kiosk.attract': 'Kosketa korttia ja selaa teoksia',
+    'catalogue.title': 'Näyttelyluettelo',
+    'catalogue.link': 'Tulostettava näyttelyluettelo',
+    'catalogue.print': 'Tulosta tai tallenna PDF',
+    'catalogue.loading': 'Ladataan kuvia {done}/{total}…',
+    'catalogue.number': 'Nro {number}',
+    'catalogue.indexNote': 'Numerot viittaavat teosten numeroihin.',
+    'catalogue.error': 'Teoksia ei saatu ladattua. Yritä myöhemmin uudelleen.'
+  },
+
+  en: {
+    'page.title': 'Solidaariset nuoret',
+    'meta.description': 'Solidaariset nuoret is a charity project that encourages young people to be creative, playful and to express themselves.',
+    'header.home': 'Solidaariset nuoret - Home',
+    'header.logoAlt': 'Solidaariset nuoret',
+    'nav.label': 'Main navigation',
+    'nav.open': 'Open navigation',
+    'nav.about': 'About',
+    'nav.artists': 'Artists',
+    'nav.team': 'Team',
+    'lang.label': 'Language',
+    'hero.label': 'Deck of artworks',
+    'hero.title': 'Solidaariset nuoret virtual art exhibition',
+    'view.label': 'View',
+    'view.deck': 'Card deck',
+    'view.gallery': 'Gallery',
+    'filmstrip.label': 'Thumbnails of all works',
+    'search.label': 'Search artworks',
+    'search.placeholder': 'Search by title, artist or description',
+    'search.results': { one: '{count} work found', other: '{count} works found' },
+    'search.empty': 'No works found for "{query}".',
+    'tours.pick': 'Tour',
+    'tours.all': 'Whole exhibition',
+    'tours.label': 'Tour',
+    'tag.ystavyys': 'Friendship',
+    'tag.luonto': 'Nature',
+    'tag.tulevaisuus': 'Future',
+    'tag.tunteet': 'Feelings',
+    'tag.juuret': 'Roots',
+    'tag.kesa': 'Summer',
+    'tour.toggle': 'Guided audio tour',
+    'tour.pause': 'Pause',
+    'tour.skip': 'Next work',
+    'tour.voice': 'Voice',
+    'tour.voiceAuto': 'Automatic',
+    'tour.rate': 'Speed',
+    'tour.by': 'By {painter}',
+    'deck.prev': 'Previous card',
+    'deck.next': 'Next card',
+    'deck.slide': 'slide',
+    'deck.position': '{current} of {total}',
+    'deck.stopRotation': 'Stop automatic slide show',
+    'deck.startRotation': 'Start automatic slide show',
+    'card.imageAlt': 'Artwork',
+    'card.altTitlePainter': 'Artwork “{title}” by {painter}',
+    'card.altTitle': 'Artwork “{title}”',
+    'card.altPainter': 'Untitled artwork by {painter}',
+    'card.descriptionAlt': 'The artist\'s handwritten description of the work',
+    'card.zoom': 'Open the work full screen',
+    'card.flip': 'Turn the card over to see the description',
+    'favourites.show': 'My favourites',
+    'shuffle.toggle': 'Shuffle the order',
+    'card.favourite': 'Favourite',
+    'reactions.label': 'Reactions',
+    'reactions.heart': 'Heart',
+    'reactions.wow': 'Wow',
+    'reactions.smile': 'Smile',
+    'reactions.clap': 'Applause',
+    'reactions.slowDown': 'Slow down! You reacted many times in a row, so the last reaction was not saved.',
+    'reactions.failed': 'The reaction could not be saved. Please try again later.',
+    'painting.untitled': 'Untitled',
+    'painting.anonymous': 'Anonymous artist',
+    'works.count': { one: '{count} work', other: '{count} works' },
+    'lightbox.close': 'Close',
+    'lightbox.prev': 'Previous work',
+    'lightbox.next': 'Next work',
+    'artists.title': 'Artists',
+    'artists.showAll': 'All artists',
+    'about.handAlt': 'Art is hot hand',
+    'about.lead': 'The Solidaariset nuoret virtual art exhibition brings together works from free art workshops for young people held during 2024–2025. The workshops were organised as part of a European Solidarity Corps solidarity project, in which young people work together to advance causes that matter to them. The works on display reflect young people\'s views on topics that are meaningful to them, such as friendship, the future and nature.',
+    'about.text': 'The solidarity project\'s art workshops were run by six young people from Tampere for other young people. Through art and doing things together, we aim to promote young people\'s inclusion and equality and to create opportunities for hobbies. The project also takes sustainable development into account, and we try to use recycled materials and ecological tools in our activities. The idea for the art workshops grew out of our own observations and our wish to make a difference to young people\'s wellbeing. The virtual exhibition is the artistic outcome of our project and proof of how art can connect, broaden horizons and move us.',
+    'team.title': 'Meet our team',
+    'team.imageAlt': 'Solidarity Project team',
+    'footer.logoAlt': 'EU Solidarity Project logo',
+    'footer.copyright': '© 2024 Solidarity Project. All rights reserved.',
+    'offline.download': 'Download the whole exhibition',
+    'offline.reloadFirst': 'Downloading works after the page has been reloaded.',
+    'offline.progress': 'Downloading {done}/{total}…',
+    'offline.failed': '{count} images could not be downloaded. Try again with a working connection.',
+    'offline.done': 'The whole exhibition is saved on this device and works offline.',
+    'update.text': 'A new version of the exhibition is available.',
+    'update.button': 'Update',
+    'kiosk.qr': 'Open this work on your phone',
+    'kiosk.attract': 'Touch a card to browse the works',
+    'catalogue.title': 'Exhibition catalogue',
+    'catalogue.link': 'Printable exhibition catalogue',
+    'catalogue.print': 'Print or save as PDF',
+    'catalogue.loading': 'Loading images {done}/{total}…',
+    'catalogue.number': 'No. {number}',
+    'catalogue.indexNote': 'The numbers refer to the numbered works.',
+    'catalogue.error': 'The works could not be loaded. Please try again later.'
+  },
+
+  sv: {
+    'page.title': 'Solidaariset nuoret',
+    'meta.description': 'Solidaariset nuoret är ett välgörenhetsprojekt som uppmuntrar unga till kreativitet, lekfullhet och självuttryck.',
+    'header.home': 'Solidaariset nuoret - Startsida',
+    'header.logoAlt': 'Solidaariset nuoret',
+    'nav.label': 'Huvudnavigering',
+    'nav.open': 'Öppna navigeringen',
+    'nav.about': 'Om oss',
+    'nav.artists': 'Konstnärer',
+    'nav.team': 'Teamet',
+    'lang.label': 'Språk',
+    'hero.label': 'Kortlek med konstverk',
+    'hero.title': 'Solidaariset nuorets virtuella konstutställning',
+    'view.label': 'Vy',
+    'view.deck': 'Kortlek',
+    'view.gallery': 'Galleri',
+    'filmstrip.label': 'Miniatyrer av alla verk',
+    'search.label': 'Sök konstverk',
+    'search.placeholder': 'Sök på titel, konstnär eller beskrivning',
+    'search.results': { one: '{count} verk hittades', other: '{count} verk hittades' },
+    'search.empty': 'Inga verk hittades för "{query}".',
+    'tours.pick': 'Tur',
+    'tours.all': 'Hela utställningen',
+    'tours.label': 'Tur',
+    'tag.ystavyys': 'Vänskap',
+    'tag.luonto': 'Natur',
+    'tag.tulevaisuus': 'Framtid',
+    'tag.tunteet': 'Känslor',
+    'tag.juuret': 'Rötter',
+    'tag.kesa': 'Sommar',
+    'tour.toggle': 'Guidad ljudtur',
+    'tour.pause': 'Paus',
+    'tour.skip': 'Nästa verk',
+    'tour.voice': 'Röst',
+    'tour.voiceAuto': 'Automatisk',
+    'tour.rate': 'Hastighet',
+    'tour.by': 'Av {painter}',
+    'deck.prev': 'Föregående kort',
+    'deck.next': 'Nästa kort',
+    'deck.slide': 'kort',
+    'deck.position': '{current} av {total}',
+    'deck.stopRotation': 'Stoppa automatiskt bildspel',
+    'deck.startRotation': 'Starta automatiskt bildspel',
+    'card.imageAlt': 'Konstverk',
+    'card.altTitlePainter': 'Konstverket ”{title}” av {painter}',
+    'card.altTitle': 'Konstverket ”{title}”',
+    'card.altPainter': 'Namnlöst konstverk av {painter}',
+    'card.descriptionAlt': 'Konstnärens handskrivna beskrivning av verket',
+    'card.zoom': 'Öppna verket i helskärm',
+    'card.flip': 'Vänd kortet och visa beskrivningen',
+    'favourites.show': 'Mina favoriter',
+    'shuffle.toggle': 'Blanda ordningen',
+    'card.favourite': 'Favorit',
+    'reactions.label': 'Reaktioner',
+    'reactions.heart': 'Hjärta',
+    'reactions.wow': 'Wow',
+    'reactions.smile': 'Leende',
+    'reactions.clap': 'Applåd',
+    'reactions.slowDown': 'Lugna ner dig! Du reagerade många gånger i rad, så den senaste reaktionen sparades inte.',
+    'reactions.failed': 'Reaktionen kunde inte sparas. Försök igen senare.',
+    'painting.untitled': 'Namnlös',
+    'painting.anonymous': 'Anonym konstnär',
+    'works.count': { one: '{count} verk', other: '{count} verk' },
+    'lightbox.close': 'Stäng',
+    'lightbox.prev': 'Föregående verk',
+    'lightbox.next': 'Nästa verk',
+    'artists.title': 'Konstnärer',
+    'artists.showAll': 'Alla konstnärer',
+    'about.handAlt': 'Art is hot hand',
+    'about.lead': 'Solidaariset nuorets virtuella konstutställning samlar verk från kostnadsfria konstverkstäder för unga som ordnades under 2024–2025. Verkstäderna ordnades som en del av ett solidaritetsprojekt inom Europeiska solidaritetskåren, där unga arbetar tillsammans för frågor som är viktiga för dem. Verken i utställningen speglar ungas syn på ämnen som är betydelsefulla för dem, såsom vänskap, framtiden och naturen.',
+    'about.text': 'Solidaritetsprojektets konstverkstäder har genomförts av sex unga från Tammerfors för andra unga. Med hjälp av konst och gemensamt skapande vill vi främja ungas delaktighet och jämlikhet samt skapa fritidsmöjligheter. I projektet har vi också beaktat hållbar utveckling och strävar efter att använda återvunnet material och ekologiska arbetsredskap i vår verksamhet. Idén till konstverkstäderna växte fram ur våra egna iakttagelser och vår vilja att påverka ungas välbefinnande. Den virtuella utställningen är projektets konstnärliga slutresultat och ett bevis på hur konst kan förena, vidga vyer och beröra.',
+    'team.title': 'Möt vårt team',
+    'team.imageAlt': 'Solidarity Project team',
+    'footer.logoAlt': 'EU Solidarity Project logo',
+    'footer.copyright': '© 2024 Solidarity Project. Alla rättigheter förbehållna.',
+    'offline.download': 'Ladda ner hela utställningen',
+    'offline.reloadFirst': 'Nedladdningen fungerar efter att sidan har laddats om.',
+    'offline.progress': 'Laddar ner {done}/{total}…',
+    'offline.failed': '{count} bilder kunde inte laddas ner. Försök igen när nätverket fungerar.',
+    'offline.done': 'Hela utställningen är sparad på enheten och fungerar utan nätverk.',
+    'update.text': 'En ny version av utställningen finns tillgänglig.',
+    'update.button': 'Uppdatera',
+    'kiosk.qr': 'Öppna verket i mobilen',
+    'kiosk.attract': 'Rör vid ett kort för att bläddra bland verken',
+    'catalogue.title': 'Utställningskatalog',
+    'catalogue.link': 'Utskrivbar utställningskatalog',
+    'catalogue.print': 'Skriv ut eller spara som PDF',
+    'catalogue.loading': 'Laddar bilder {done}/{total}…',
+    'catalogue.number': 'Nr {number}',
+    'catalogue.indexNote': 'Numren hänvisar till verkens nummer.',
+    'catalogue.error': 'Verken kunde inte laddas. Försök igen senare.'
+  },
+
+  ar: {
+    'page.title': 'الشباب المتضامنون',
+    'meta.description': 'الشباب المتضامنون مشروع خيري يشجع الشباب على الإبداع والمرح والتعبير عن الذات.',
+    'header.home': 'الشباب المتضامنون - الصفحة الرئيسية',
+    'header.logoAlt': 'الشباب المتضامنون',
+    'nav.label': 'التنقل الرئيسي',
+    'nav.open': 'فتح قائمة التنقل',
+    'nav.about': 'عن المشروع',
+    'nav.artists': 'الفنانون',
+    'nav.team': 'الفريق',
+    'lang.label': 'اللغة',
+    'hero.label': 'مجموعة بطاقات الأعمال الفنية',
+    'hero.title': 'المعرض الفني الافتراضي للشباب المتضامنين',
+    'view.label': 'طريقة العرض',
+    'view.deck': 'البطاقات',
+    'view.gallery': 'المعرض',
+    'filmstrip.label': 'صور مصغرة لجميع الأعمال',
+    'search.label': 'البحث في الأعمال',
+    'search.placeholder': 'ابحث بالعنوان أو الفنان أو الوصف',
+    'search.results': {
+      zero: 'لم يُعثر على أي عمل',
+      one: 'تم العثور على عمل واحد',
+      two: 'تم العثور على عملين',
+      few: 'تم العثور على {count} أعمال',
+      many: 'تم العثور على {count} عملاً',
+      other: 'تم العثور على {count} عمل'
+    },
+    'search.empty': 'لم يُعثر على أي عمل لـ "{query}".',
+    'tours.pick': 'الجولة',
+    'tours.all': 'المعرض كاملاً',
+    'tours.label': 'جولة',
+    'tag.ystavyys': 'الصداقة',
+    'tag.luonto': 'الطبيعة',
+    'tag.tulevaisuus': 'المستقبل',
+    'tag.tunteet': 'المشاعر',
+    'tag.juuret': 'الجذور',
+    'tag.kesa': 'الصيف',
+    'tour.toggle': 'جولة صوتية مرشدة',
+    'tour.pause': 'إيقاف مؤقت',
+    'tour.skip': 'العمل التالي',
+    'tour.voice': 'الصوت',
+    'tour.voiceAuto': 'تلقائي',
+    'tour.rate': 'السرعة',
+    'tour.by': 'من إبداع {painter}',
+    'deck.prev': 'البطاقة السابقة',
+    'deck.next': 'البطاقة التالية',
+    'deck.slide': 'بطاقة',
+    'deck.position': '{current} من {total}',
+    'deck.stopRotation': 'إيقاف العرض التلقائي',
+    'deck.startRotation': 'تشغيل العرض التلقائي',
+    'card.imageAlt': 'عمل فني',
+    'card.altTitlePainter': 'عمل فني بعنوان «{title}» من إبداع {painter}',
+    'card.altTitle': 'عمل فني بعنوان «{title}»',
+    'card.altPainter': 'عمل فني بلا عنوان من إبداع {painter}',
+    'card.descriptionAlt': 'وصف العمل بخط يد الفنان',
+    'card.zoom': 'فتح العمل بملء الشاشة',
+    'card.flip': 'اقلب البطاقة لرؤية الوصف',
+    'favourites.show': 'مفضلاتي',
+    'shuffle.toggle': 'ترتيب عشوائي',
+    'card.favourite': 'مفضل',
+    'reactions.label': 'التفاعلات',
+    'reactions.heart': 'قلب',
+    'reactions.wow': 'مدهش',
+    'reactions.smile': 'ابتسامة',
+    'reactions.clap': 'تصفيق',
+    'reactions.slowDown': 'مهلاً! تفاعلت مرات كثيرة متتالية، لذلك لم يُحفظ التفاعل الأخير.',
+    'reactions.failed': 'تعذّر حفظ التفاعل. حاول مرة أخرى لاحقاً.',
+    'painting.untitled': 'بلا عنوان',
+    'painting.anonymous': 'فنان مجهول',
+    'works.count': {
+      zero: 'لا توجد أعمال',
+      one: 'عمل واحد',
+      two: 'عملان',
+      few: '{count} أعمال',
+      many: '{count} عملاً',
+      other: '{count} عمل'
+    },
+    'lightbox.close': 'إغلاق',
+    'lightbox.prev': 'العمل السابق',
+    'lightbox.next': 'العمل التالي',
+    'artists.title': 'الفنانون',
+    'artists.showAll': 'جميع الفنانين',
+    'about.handAlt': 'Art is hot hand',
+    'about.lead': 'يجمع المعرض الفني الافتراضي للشباب المتضامنين أعمالاً من ورش فنية مجانية للشباب أُقيمت خلال عامي 2024-2025. نُظِّمت الورش في إطار مشروع تضامني تابع لفيلق التضامن الأوروبي، يعمل فيه الشباب معاً من أجل قضايا تهمّهم. تعكس الأعمال المعروضة رؤى الشباب حول مواضيع ذات معنى بالنسبة لهم، مثل الصداقة والمستقبل والطبيعة.',
+    'about.text': 'نُفِّذت الورش الفنية لمشروع التضامن على يد ستة شباب من مدينة تامبيري لصالح شباب آخرين. نسعى في مشروعنا، من خلال الفن والعمل المشترك، إلى تعزيز مشاركة الشباب والمساواة بينهم وإتاحة فرص لممارسة الهوايات. كما راعينا في تنفيذ المشروع التنمية المستدامة، ونحرص على استخدام المواد المعاد تدويرها والأدوات الصديقة للبيئة في أنشطتنا. نشأت فكرة الورش الفنية من ملاحظاتنا الخاصة ورغبتنا في التأثير في رفاهية الشباب. ويُعدّ المعرض الافتراضي الثمرة الفنية لمشروعنا ودليلاً على قدرة الفن على التوحيد وتوسيع الآفاق ولمس القلوب.',
+    'team.title': 'تعرّفوا على فريقنا',
+    'team.imageAlt': 'فريق مشروع التضامن',
+    'footer.logoAlt': 'شعار مشروع التضامن الأوروبي',
+    'footer.copyright': '© 2024 Solidarity Project. جميع الحقوق محفوظة.',
+    'offline.download': 'تنزيل المعرض كاملاً',
+    'offline.reloadFirst': 'يمكن التنزيل بعد إعادة تحميل الصفحة.',
+    'offline.progress': 'جارٍ التنزيل {done}/{total}…',
+    'offline.failed': 'تعذّر تنزيل {count} من الصور. حاول مجدداً عندما يكون الاتصال جيداً.',
+    'offline.done': 'تم حفظ المعرض كاملاً على هذا الجهاز ويعمل دون اتصال.',
+    'update.text': 'تتوفر نسخة جديدة من المعرض.',
+    'update.button': 'تحديث',
+    'kiosk.qr': 'افتح هذا العمل على هاتفك',
+    'kiosk.attract': 'المس بطاقة لتصفّح الأعمال',
+    'catalogue.title': 'دليل المعرض',
+    'catalogue.link': 'دليل المعرض القابل للطباعة',
+    'catalogue.print': 'اطبع أو احفظ بصيغة PDF',
+    'catalogue.loading': 'جارٍ تحميل الصور {done}/{total}…',
+    'catalogue.number': 'رقم {number}',
+    'catalogue.indexNote': 'تشير الأرقام إلى أرقام الأعمال.',
+    'catalogue.error': 'تعذّر تحميل الأعمال. حاول مجدداً لاحقاً.'
+  }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(MESSAGES);
+
+// Stored choice first, then the browser's preferences, then Finnish
+function detectLanguage() {
+  try {
+    const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (SUPPORTED_LANGUAGES.includes(stored)) return stored;
+  } catch (error) {
+    // Ignore storage errors
+  }
+
+  const preferred = (navigator.languages || [navigator.language])
+    .map(tag => String(tag || '').toLowerCase().split('-')[0])
+    .find(code => SUPPORTED_LANGUAGES.includes(code));
+
+  return preferred || DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = detectLanguage();
+
+function getLanguage() {
+  return currentLanguage;
+}
+
+function isRtlLanguage(lang = currentLanguage) {
+  return RTL_LANGUAGES.includes(lang);
+}
+
+// Look up a message, fill in {placeholders} and pick the plural form from params.count
+function t(key, params = {}) {
+  let message = MESSAGES[currentLanguage][key];
+  if (message === undefined) message = MESSAGES[DEFAULT_LANGUAGE][key];
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLanguage).select(params.count);
+    message = message[category] || message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Catalogue text is edited by hand and in the curation tool, so it goes into markup escaped
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A catalogue text (title, description) in the page language, falling back to the original
+function localizedText(painting, field) {
+  const translation = painting.translations && painting.translations[currentLanguage];
+  return (translation && translation[field]) || painting[field];
+}
+
+// Translate static markup: data-i18n sets the text, data-i18n-<attribute> sets that attribute
+function translateDocument(root = document) {
+  const html = document.documentElement;
+  html.lang = currentLanguage;
+  html.dir = isRtlLanguage() ? 'rtl' : 'ltr';
+
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+
+  ['aria-label', 'alt', 'placeholder', 'content'].forEach(attribute => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+      el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+    });
+  });
+}
+
+class LanguageSwitcher {
+  constructor(element) {
+    this.switcher = element;
+    this.buttons = Array.from(this.switcher.querySelectorAll('[data-lang]'));
+
+    this.init();
+  }
+
+  init() {
+    this.buttons.forEach(btn => {
+      btn.setAttribute('aria-pressed', (btn.dataset.lang === currentLanguage).toString());
+      btn.addEventListener('click', () => this.select(btn.dataset.lang));
+    });
+  }
+
+  // Generated content (cards, gallery, artist pages) is rebuilt by reloading; the hash keeps the painting
+  select(lang) {
+    if (lang === currentLanguage || !SUPPORTED_LANGUAGES.includes(lang)) return;
+
+    try {
+      localStorage.setItem(LANGUAGE_STORAGE_KEY, lang);
+    } catch (error) {
+      // Without storage the choice only lasts for this page view
+      currentLanguage = lang;
+      translateDocument();
+      return;
+    }
+
+    window.location.reload();
+  }
+}
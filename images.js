@@ -0,0 +1,93 @@
+/**
+ * Responsive images for the Solidarity Project exhibition
+ * Uses the AVIF/WebP variants written by tools/build-images.js when they exist,
+ * and falls back to the original JPEGs in paintings/ when they don't.
+ * The variants aren't committed; the deploy workflow builds them.
+ */
+
+const IMAGE_MANIFEST_URL = 'paintings/variants/manifest.json';
+// Set once the manifest turned out to be missing, so the rest of the visit doesn't ask again
+const MISSING_MANIFEST_KEY = 'solidaariset:no-image-variants';
+
+// Grid thumbnails (gallery, artist pages) are never wider than this
+const THUMBNAIL_SIZES = '(max-width: 480px) 50vw, 240px';
+
+// Filled in by loadImageManifest(); null means "originals only"
+let imageManifest = null;
+
+// sessionStorage can throw in private browsing; the manifest is then asked for on every page
+function isManifestKnownMissing() {
+  try {
+    return sessionStorage.getItem(MISSING_MANIFEST_KEY) === IMAGE_MANIFEST_URL;
+  } catch (error) {
+    return false;
+  }
+}
+
+function rememberManifestMissing() {
+  try {
+    sessionStorage.setItem(MISSING_MANIFEST_KEY, IMAGE_MANIFEST_URL);
+  } catch (error) {
+    // Ignore storage errors
+  }
+}
+
+async function loadImageManifest() {
+  if (isManifestKnownMissing()) return null;
+
+  try {
+    const response = await fetch(IMAGE_MANIFEST_URL);
+    imageManifest = response.ok ? await response.json() : null;
+    // Only a real "not there"; being offline says nothing about the deployment
+    if (response.status === 404) rememberManifestMissing();
+  } catch (error) {
+    imageManifest = null;
+  }
+  return imageManifest;
+}
+
+function imageVariantSrcset(image, format) {
+  const entry = imageManifest && imageManifest.images[image];
+  const widths = entry && entry.variants[format];
+  if (!widths || widths.length === 0) return '';
+
+  const base = image.replace(/\.[^.]+$/, '');
+  return widths.map(w => escapeHtml(`${imageManifest.directory}/${base}-${w}.${format} ${w}w`)).join(', ');
+}
+
+/**
+ * Markup for a <picture> of a painting.
+ * With `deferred: true` the URLs go into data-* attributes and nothing downloads
+ * until loadDeferredImages() is called on a container (the card deck does this).
+ */
+function renderPicture(image, { alt = '', className = '', sizes = '100vw', deferred = false } = {}) {
+  const src = `${PAINTINGS_DIR}/${image}`;
+  const entry = imageManifest && imageManifest.images[image];
+  const srcAttr = deferred ? 'data-src' : 'src';
+  const srcsetAttr = deferred ? 'data-srcset' : 'srcset';
+
+  const sources = ['avif', 'webp']
+    .map(format => {
+      const srcset = imageVariantSrcset(image, format);
+      return srcset ? `<source type="image/${format}" ${srcsetAttr}="${srcset}" sizes="${sizes}">` : '';
+    })
+    .join('');
+
+  const dimensions = entry ? `width="${entry.width}" height="${entry.height}"` : '';
+  const loading = deferred ? '' : 'loading="lazy"';
+
+  return `<picture>${sources}<img ${srcAttr}="${escapeHtml(src)}" data-full-src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" class="${className}" ${dimensions} ${loading} decoding="async"></picture>`;
+}
+
+// Swap data-src/data-srcset into place for every deferred image inside `container`
+function loadDeferredImages(container) {
+  container.querySelectorAll('[data-srcset]').forEach(el => {
+    el.srcset = el.dataset.srcset;
+    el.removeAttribute('data-srcset');
+  });
+
+  container.querySelectorAll('img[data-src]').forEach(img => {
+    img.src = img.dataset.src;
+    img.removeAttribute('data-src');
+  });
+}
@@ -0,0 +1,167 @@
+/**
+ * Kiosk mode for the Solidarity Project exhibition
+ * For showing the deck on a screen at youth centres and events: open the page with
+ * ?kiosk=1 and it goes fullscreen with only the deck, moves on by itself and gives
+ * every card a QR code to the artwork's own page.
+ *
+ * Timing is set in the address, in seconds:
+ *   ?kiosk=1&seconds=12   each card's front stays up this long (default 10)
+ *   &back=8               then its description side, if it has one (default 6; 0 skips it)
+ *   &idle=90              after a visitor's last touch, return to the attract loop (default 60)
+ */
+
+const KIOSK_DEFAULTS = { seconds: 10, back: 6, idle: 60 };
+
+// The kiosk settings from the address, or null outside kiosk mode
+function kioskSettings() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('kiosk') !== '1') return null;
+
+  const settings = {};
+  Object.entries(KIOSK_DEFAULTS).forEach(([name, fallback]) => {
+    const value = Number(params.get(name));
+    // Only the description side can be skipped with 0
+    const minimum = name === 'back' ? 0 : 1;
+    settings[name] = params.has(name) && Number.isFinite(value) && value >= minimum ? value : fallback;
+  });
+  return settings;
+}
+
+// The published site, so a kiosk running from a local copy still links online
+function siteUrl() {
+  const meta = document.querySelector('meta[name="site-url"]');
+  const url = meta && meta.content.trim();
+  return url || new URL('./', document.baseURI).href;
+}
+
+class KioskMode {
+  constructor(deck, lightbox, settings) {
+    this.deck = deck;
+    this.lightbox = lightbox;
+    this.settings = settings;
+
+    this.isAttracting = false;
+    this.advanceTimeout = null;
+    this.idleTimeout = null;
+    this.wakeLock = null;
+    this.hint = null;
+
+    this.init();
+  }
+
+  init() {
+    document.body.classList.add('kiosk');
+
+    // Hover and focus no longer pause the deck: the kiosk decides when it moves
+    this.deck.holdAutoplay('kiosk');
+
+    this.addQrCodes();
+    this.buildHint();
+    this.setupEventListeners();
+    this.enterFullscreen();
+    this.keepScreenOn();
+    this.startAttractLoop();
+  }
+
+  setupEventListeners() {
+    // Any touch, click, key or wheel means someone is using the screen
+    ['pointerdown', 'keydown', 'wheel'].forEach(type => {
+      document.addEventListener(type, () => this.handleActivity(), { capture: true, passive: true });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) this.keepScreenOn();
+    });
+  }
+
+  addQrCodes() {
+    const base = siteUrl();
+
+    this.deck.allSlides.forEach(slide => {
+      const info = slide.querySelector('.card-deck__info');
+      if (!info || !slide.dataset.paintingId) return;
+
+      const qr = document.createElement('div');
+      qr.className = 'card-deck__qr';
+      qr.innerHTML = `
+        <span class="card-deck__qr-label">${t('kiosk.qr')}</span>
+        ${renderQrCode(`${base}teos/${encodeURIComponent(slide.dataset.paintingId)}/`, { className: 'card-deck__qr-code' })}
+      `;
+      info.appendChild(qr);
+    });
+  }
+
+  buildHint() {
+    this.hint = document.createElement('p');
+    this.hint.className = 'kiosk-hint';
+    this.hint.textContent = t('kiosk.attract');
+    this.hint.hidden = true;
+    document.body.appendChild(this.hint);
+  }
+
+  // Browsers only allow fullscreen from a user gesture, unless the screen was started in kiosk mode
+  enterFullscreen() {
+    const root = document.documentElement;
+    if (document.fullscreenElement || !root.requestFullscreen) return;
+
+    root.requestFullscreen().catch(() => {
+      document.addEventListener('pointerdown', () => this.enterFullscreen(), { once: true });
+    });
+  }
+
+  // The screen would otherwise dim and lock while nobody touches it
+  async keepScreenOn() {
+    if (!navigator.wakeLock || document.hidden) return;
+
+    try {
+      this.wakeLock = await navigator.wakeLock.request('screen');
+    } catch (error) {
+      // Not allowed here (e.g. battery saver); the screen's own settings apply
+    }
+  }
+
+  // Nobody around: show the works one after another and invite people to touch
+  startAttractLoop() {
+    this.isAttracting = true;
+    document.body.classList.add('kiosk--attract');
+    this.hint.hidden = false;
+
+    // Leave the screen as the next visitor should find it
+    if (this.lightbox && this.lightbox.isOpen) this.lightbox.close();
+    this.deck.unflipCard();
+    this.scheduleAdvance();
+  }
+
+  handleActivity() {
+    if (this.isAttracting) {
+      this.isAttracting = false;
+      document.body.classList.remove('kiosk--attract');
+      this.hint.hidden = true;
+      clearTimeout(this.advanceTimeout);
+    }
+
+    clearTimeout(this.idleTimeout);
+    this.idleTimeout = setTimeout(() => this.startAttractLoop(), this.settings.idle * 1000);
+  }
+
+  // The front for `seconds`, the description side for `back`, then the next card
+  scheduleAdvance() {
+    const { seconds, back } = this.settings;
+    clearTimeout(this.advanceTimeout);
+
+    this.advanceTimeout = setTimeout(() => {
+      const slide = this.deck.slides[this.deck.currentSlide];
+      if (back > 0 && slide && slide.querySelector('.card-deck__back')) {
+        this.deck.flipCard();
+        this.advanceTimeout = setTimeout(() => this.advance(), back * 1000);
+      } else {
+        this.advance();
+      }
+    }, seconds * 1000);
+  }
+
+  advance() {
+    this.deck.nextSlide('autoplay');
+    this.scheduleAdvance();
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Full-screen lightbox for the Solidarity Project card deck
+ * Features: pinch/wheel zoom, drag to pan, double-tap reset, prev/next synced with the deck, focus trap
+ */
+
+class Lightbox {
+  constructor(deck) {
+    this.deck = deck;
+    this.minScale = 1;
+    this.maxScale = 6;
+    this.doubleTapDelay = 300;
+
+    this.isOpen = false;
+    this.returnFocus = null;
+
+    // Zoom/pan state
+    this.scale = 1;
+    this.translateX = 0;
+    this.translateY = 0;
+
+    // Active pointers for drag and pinch, keyed by pointerId
+    this.pointers = new Map();
+    this.pinchStartDistance = 0;
+    this.pinchStartScale = 1;
+    this.lastTapTime = 0;
+
+    this.init();
+  }
+
+  init() {
+    this.build();
+    this.setupEventListeners();
+  }
+
+  build() {
+    this.element = document.createElement('div');
+    this.element.className = 'lightbox';
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.setAttribute('aria-labelledby', 'lightbox-caption');
+    this.element.hidden = true;
+
+    this.element.innerHTML = `
+      <div class="lightbox__stage" data-lightbox-stage>
+        <img class="lightbox__image" data-lightbox-image alt="" draggable="false">
+      </div>
+      <p class="lightbox__caption" id="lightbox-caption" data-lightbox-caption></p>
+      <button type="button" class="lightbox__btn lightbox__btn--close" data-lightbox-close aria-label="${t('lightbox.close')}">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+          <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+        </svg>
+      </button>
+      <button type="button" class="lightbox__btn lightbox__btn--prev" data-lightbox-prev aria-label="${t('lightbox.prev')}">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+          <path d="M15 18L9 12L15 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+      </button>
+      <button type="button" class="lightbox__btn lightbox__btn--next" data-lightbox-next aria-label="${t('lightbox.next')}">
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+          <path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+      </button>
+    `;
+
+    this.stage = this.element.querySelector('[data-lightbox-stage]');
+    this.image = this.element.querySelector('[data-lightbox-image]');
+    this.caption = this.element.querySelector('[data-lightbox-caption]');
+    this.closeBtn = this.element.querySelector('[data-lightbox-close]');
+    this.prevBtn = this.element.querySelector('[data-lightbox-prev]');
+    this.nextBtn = this.element.querySelector('[data-lightbox-next]');
+
+    document.body.appendChild(this.element);
+  }
+
+  setupEventListeners() {
+    // Open from the zoom button on the top card
+    this.deck.container.addEventListener('click', (e) => {
+      if (e.target.closest('[data-card-zoom]')) {
+        this.open();
+      }
+    });
+
+    this.closeBtn.addEventListener('click', () => this.close());
+    this.prevBtn.addEventListener('click', () => this.showPrev());
+    this.nextBtn.addEventListener('click', () => this.showNext());
+
+    // Listen on the document so keys still work after clicking the (unfocusable) painting
+    document.addEventListener('keydown', (e) => {
+      if (this.isOpen) this.handleKeydown(e);
+    });
+
+    // Zoom and pan
+    this.stage.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.stage.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.stage.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+    // Clicking the dark backdrop around the painting closes the lightbox
+    this.stage.addEventListener('click', (e) => {
+      if (e.target === this.stage && this.scale === 1) {
+        this.close();
+      }
+    });
+  }
+
+  // Open/close
+  open() {
+    if (this.isOpen) return;
+
+    this.isOpen = true;
+    this.returnFocus = document.activeElement;
+    this.deck.holdAutoplay('lightbox');
+
+    this.render();
+    this.element.hidden = false;
+    document.body.classList.add('lightbox-open');
+    this.closeBtn.focus();
+
+    // Next to the deck's own events, for anything following what visitors look at
+    this.deck.carousel.dispatchEvent(new CustomEvent('lightboxopen', {
+      detail: { slide: this.deck.slides[this.deck.currentSlide] }
+    }));
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.element.hidden = true;
+    document.body.classList.remove('lightbox-open');
+    this.pointers.clear();
+    this.deck.releaseAutoplay('lightbox');
+
+    // The deck may have moved while the lightbox was open, so return to the card now on top
+    const slide = this.deck.slides[this.deck.currentSlide];
+    const zoomBtn = slide && slide.querySelector('[data-card-zoom]');
+    const target = zoomBtn || this.returnFocus;
+
+    if (target && typeof target.focus === 'function') {
+      target.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  // Navigation goes through the deck so both stay on the same painting
+  showPrev() {
+    this.deck.prevSlide();
+    this.render();
+  }
+
+  showNext() {
+    this.deck.nextSlide();
+    this.render();
+  }
+
+  render() {
+    const slide = this.deck.slides[this.deck.currentSlide];
+    if (!slide) return;
+
+    const cardImage = slide.querySelector('.card-deck__image');
+    const title = slide.querySelector('.card-deck__title');
+    const artist = slide.querySelector('.card-deck__artist');
+    const titleText = title ? title.textContent.trim() : '';
+    const artistText = artist ? artist.textContent.trim() : '';
+
+    // Zooming wants the original, not the card-sized variant
+    this.image.src = cardImage ? cardImage.dataset.fullSrc || cardImage.currentSrc || cardImage.src : '';
+    this.image.alt = cardImage ? cardImage.alt : '';
+    this.caption.textContent = [titleText, artistText].filter(Boolean).join(' – ');
+
+    this.resetZoom();
+  }
+
+  // Zoom helpers
+  resetZoom() {
+    this.scale = 1;
+    this.translateX = 0;
+    this.translateY = 0;
+    this.applyTransform();
+  }
+
+  // Zoom to newScale keeping the stage point (clientX, clientY) fixed under the pointer
+  zoomTo(newScale, clientX, clientY) {
+    const scale = Math.min(this.maxScale, Math.max(this.minScale, newScale));
+    const rect = this.stage.getBoundingClientRect();
+    const pointX = clientX - (rect.left + rect.width / 2);
+    const pointY = clientY - (rect.top + rect.height / 2);
+    const ratio = scale / this.scale;
+
+    this.translateX = pointX - (pointX - this.translateX) * ratio;
+    this.translateY = pointY - (pointY - this.translateY) * ratio;
+    this.scale = scale;
+    this.applyTransform();
+  }
+
+  applyTransform() {
+    // Keep the zoomed painting covering the stage instead of drifting off screen
+    const maxX = (this.image.offsetWidth * (this.scale - 1)) / 2;
+    const maxY = (this.image.offsetHeight * (this.scale - 1)) / 2;
+    this.translateX = Math.min(maxX, Math.max(-maxX, this.translateX));
+    this.translateY = Math.min(maxY, Math.max(-maxY, this.translateY));
+
+    this.image.style.transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.scale})`;
+    this.stage.classList.toggle('lightbox__stage--zoomed', this.scale > 1);
+  }
+
+  handleWheel(e) {
+    e.preventDefault();
+    const factor = Math.exp(-e.deltaY * 0.002);
+    this.zoomTo(this.scale * factor, e.clientX, e.clientY);
+  }
+
+  // Pointer handling: one pointer pans, two pointers pinch, a quick second tap toggles zoom
+  handlePointerDown(e) {
+    if (e.target.closest('button')) return;
+
+    this.stage.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pointers.size === 2) {
+      const [a, b] = Array.from(this.pointers.values());
+      this.pinchStartDistance = Math.hypot(a.x - b.x, a.y - b.y);
+      this.pinchStartScale = this.scale;
+    }
+  }
+
+  handlePointerMove(e) {
+    const previous = this.pointers.get(e.pointerId);
+    if (!previous) return;
+
+    const current = { x: e.clientX, y: e.clientY };
+    this.pointers.set(e.pointerId, current);
+
+    if (this.pointers.size === 2) {
+      const [a, b] = Array.from(this.pointers.values());
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+
+      if (this.pinchStartDistance > 0) {
+        this.zoomTo(this.pinchStartScale * (distance / this.pinchStartDistance), (a.x + b.x) / 2, (a.y + b.y) / 2);
+      }
+    } else if (this.pointers.size === 1 && this.scale > 1) {
+      this.translateX += current.x - previous.x;
+      this.translateY += current.y - previous.y;
+      this.applyTransform();
+    }
+  }
+
+  handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+
+    this.pointers.delete(e.pointerId);
+    if (this.pointers.size < 2) {
+      this.pinchStartDistance = 0;
+    }
+
+    if (e.type !== 'pointerup' || this.pointers.size > 0) return;
+
+    const now = Date.now();
+    if (now - this.lastTapTime < this.doubleTapDelay) {
+      this.lastTapTime = 0;
+
+      if (this.scale > 1) {
+        this.resetZoom();
+      } else {
+        this.zoomTo(2.5, e.clientX, e.clientY);
+      }
+    } else {
+      this.lastTapTime = now;
+    }
+  }
+
+  // Keyboard: Escape closes, arrows navigate, +/- zoom, Tab stays inside the dialog
+  handleKeydown(e) {
+    const isRtl = this.deck.isRtl();
+
+    switch (e.key) {
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        isRtl ? this.showNext() : this.showPrev();
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        isRtl ? this.showPrev() : this.showNext();
+        break;
+      case '+':
+      case '=':
+        e.preventDefault();
+        this.zoomAtCenter(this.scale * 1.5);
+        break;
+      case '-':
+        e.preventDefault();
+        this.zoomAtCenter(this.scale / 1.5);
+        break;
+      case '0':
+        e.preventDefault();
+        this.resetZoom();
+        break;
+      case 'Tab':
+        this.trapFocus(e);
+        break;
+    }
+  }
+
+  zoomAtCenter(newScale) {
+    const rect = this.stage.getBoundingClientRect();
+    this.zoomTo(newScale, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }
+
+  trapFocus(e) {
+    const focusable = Array.from(this.element.querySelectorAll('button:not([disabled])'));
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!this.element.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Printable catalogue for the Solidarity Project exhibition
+ * Lays out the same catalogue the card deck shows as print pages: a cover, the about
+ * text, one page per artwork with its description photo and an artist index.
+ * print.css paginates it for the browser's print-to-PDF.
+ */
+
+// The whole artwork, not a card-sized crop; print resolution wants the largest variant
+const CATALOGUE_IMAGE_SIZES = '1600px';
+
+function catalogueWorkAnchor(painting) {
+  return `teos-${painting.id}`;
+}
+
+// <base> points relative URLs at the site root, so a bare "#teos-014" would open the homepage;
+// with the page's own path the links stay inside the document, in the saved PDF too
+function catalogueWorkLink(painting) {
+  return `${window.location.pathname}#${catalogueWorkAnchor(painting)}`;
+}
+
+class PrintCatalogue {
+  constructor(element) {
+    this.root = element;
+    this.works = this.root.querySelector('[data-catalogue-works]');
+    this.artistList = this.root.querySelector('[data-catalogue-artists]');
+    this.count = this.root.querySelector('[data-catalogue-count]');
+    this.printBtn = this.root.querySelector('[data-catalogue-print]');
+    this.status = this.root.querySelector('[data-catalogue-status]');
+
+    this.init();
+  }
+
+  async init() {
+    // translateDocument() gives every page the exhibition's title
+    document.title = `${t('catalogue.title')} – ${t('page.title')}`;
+
+    try {
+      const [paintings] = await Promise.all([fetchCatalogue(), loadImageManifest()]);
+      this.render(paintings);
+    } catch (error) {
+      console.error('Failed to build the catalogue:', error);
+      this.works.innerHTML = `<p class="catalogue__error">${t('catalogue.error')}</p>`;
+      return;
+    }
+
+    this.printBtn.addEventListener('click', () => this.print());
+    this.printBtn.disabled = false;
+  }
+
+  render(paintings) {
+    this.count.textContent = t('works.count', { count: paintings.length });
+    this.works.innerHTML = paintings.map((painting, index) => this.renderWork(painting, index + 1)).join('');
+    this.artistList.innerHTML = this.renderArtistIndex(paintings);
+
+    // Lazy images below the fold would be missing from the printout
+    this.root.querySelectorAll('img[loading="lazy"]').forEach(img => img.removeAttribute('loading'));
+  }
+
+  renderWork(painting, number) {
+    const title = localizedText(painting, 'title') || t('painting.untitled');
+    const description = localizedText(painting, 'description');
+
+    return `
+      <article class="catalogue__page catalogue__work" id="${escapeHtml(catalogueWorkAnchor(painting))}">
+        <p class="catalogue__number">${t('catalogue.number', { number })}</p>
+        <h2 class="catalogue__title">${escapeHtml(title)}</h2>
+        <p class="catalogue__artist">${escapeHtml(painting.painter)}</p>
+        <figure class="catalogue__figure">
+          ${renderPicture(painting.image, { alt: paintingAltText(painting), className: 'catalogue__image', sizes: CATALOGUE_IMAGE_SIZES })}
+        </figure>
+        <div class="catalogue__details">
+          ${painting.descriptionImage ? renderPicture(painting.descriptionImage, { alt: t('card.descriptionAlt'), className: 'catalogue__desc-image', sizes: CATALOGUE_IMAGE_SIZES }) : ''}
+          ${description ? `<p class="catalogue__description">${escapeHtml(description)}</p>` : ''}
+          ${painting.tags.length > 0 ? `<ul class="catalogue__tags">${painting.tags.map(tag => `<li class="catalogue__tag">${escapeHtml(tagLabel(tag))}</li>`).join('')}</ul>` : ''}
+        </div>
+      </article>
+    `;
+  }
+
+  // Every artist with the numbers of their works, linked to the work pages
+  renderArtistIndex(paintings) {
+    const numbers = new Map(paintings.map((painting, index) => [painting.id, index + 1]));
+
+    return sortedArtists(groupByArtist(paintings)).map(([, artist]) => `
+      <li class="catalogue__artist-entry">
+        <span class="catalogue__artist-name">${escapeHtml(artist.name)}</span>
+        <span class="catalogue__artist-works">
+          ${artist.paintings.map(painting => `<a href="${escapeHtml(catalogueWorkLink(painting))}">${numbers.get(painting.id)}</a>`).join(', ')}
+        </span>
+      </li>
+    `).join('');
+  }
+
+  // Wait for every image, so the printout isn't missing any
+  async print() {
+    const images = Array.from(this.root.querySelectorAll('img'));
+    let done = images.filter(img => img.complete).length;
+
+    this.printBtn.disabled = true;
+    this.status.textContent = t('catalogue.loading', { done, total: images.length });
+
+    await Promise.all(images.filter(img => !img.complete).map(img => new Promise(resolve => {
+      const finish = () => {
+        done++;
+        this.status.textContent = t('catalogue.loading', { done, total: images.length });
+        resolve();
+      };
+      img.addEventListener('load', finish, { once: true });
+      img.addEventListener('error', finish, { once: true });
+    })));
+
+    this.status.textContent = '';
+    this.printBtn.disabled = false;
+    window.print();
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const element = document.querySelector('[data-print-catalogue]');
+  if (element) {
+    new PrintCatalogue(element);
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * Offline support for the Solidarity Project exhibition
+ * Registers the service worker, offers updates and downloads the whole exhibition on request.
+ */
+
+class OfflineSupport {
+  constructor(paintings) {
+    this.paintings = paintings;
+    this.downloadBtn = document.querySelector('[data-offline-download]');
+    this.downloadStatus = document.querySelector('[data-offline-status]');
+    this.updateBanner = document.querySelector('[data-update-banner]');
+    this.updateBtn = document.querySelector('[data-update-reload]');
+
+    this.registration = null;
+    this.waitingWorker = null;
+    this.isReloading = false;
+
+    this.init();
+  }
+
+  async init() {
+    if (!('serviceWorker' in navigator)) {
+      if (this.downloadBtn) this.downloadBtn.hidden = true;
+      return;
+    }
+
+    navigator.serviceWorker.addEventListener('message', (e) => this.handleMessage(e.data || {}));
+
+    // The new worker took over: reload once so page and cache match
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.isReloading || !this.waitingWorker) return;
+      this.isReloading = true;
+      window.location.reload();
+    });
+
+    if (this.downloadBtn) {
+      this.downloadBtn.hidden = false;
+      this.downloadBtn.addEventListener('click', () => this.downloadAll());
+    }
+
+    if (this.updateBtn) {
+      this.updateBtn.addEventListener('click', () => this.applyUpdate());
+    }
+
+    try {
+      this.registration = await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+      return;
+    }
+
+    if (this.registration.waiting && navigator.serviceWorker.controller) {
+      this.showUpdatePrompt(this.registration.waiting);
+    }
+
+    this.registration.addEventListener('updatefound', () => {
+      const worker = this.registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener('statechange', () => {
+        // Only an update if an older worker is already in charge
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showUpdatePrompt(worker);
+        }
+      });
+    });
+  }
+
+  handleMessage(data) {
+    switch (data.type) {
+      case 'catalogue-updated':
+        this.showUpdatePrompt(null);
+        break;
+      case 'download-progress':
+        this.updateDownloadStatus(data);
+        break;
+    }
+  }
+
+  showUpdatePrompt(worker) {
+    this.waitingWorker = worker;
+    if (this.updateBanner) this.updateBanner.hidden = false;
+  }
+
+  applyUpdate() {
+    if (this.waitingWorker) {
+      // Reloads on controllerchange
+      this.waitingWorker.postMessage({ type: 'skip-waiting' });
+    } else {
+      // Only the catalogue changed; the fresh copy is already in the cache
+      window.location.reload();
+    }
+  }
+
+  // Every painting and description photo in full size, which also covers the lightbox
+  downloadAll() {
+    const controller = navigator.serviceWorker.controller;
+    if (!controller) {
+      this.setDownloadStatus(t('offline.reloadFirst'));
+      return;
+    }
+
+    const urls = [];
+    this.paintings.forEach(painting => {
+      urls.push(`${PAINTINGS_DIR}/${painting.image}`);
+      if (painting.descriptionImage) {
+        urls.push(`${PAINTINGS_DIR}/${painting.descriptionImage}`);
+      }
+    });
+
+    this.downloadBtn.disabled = true;
+    this.setDownloadStatus(t('offline.progress', { done: 0, total: urls.length }));
+    controller.postMessage({ type: 'download-all', urls });
+  }
+
+  updateDownloadStatus({ done, failed, total }) {
+    if (done < total) {
+      this.setDownloadStatus(t('offline.progress', { done, total }));
+      return;
+    }
+
+    this.downloadBtn.disabled = false;
+    this.setDownloadStatus(failed > 0 ? t('offline.failed', { count: failed }) : t('offline.done'));
+  }
+
+  setDownloadStatus(text) {
+    if (this.downloadStatus) this.downloadStatus.textContent = text;
+  }
+}
@@ -0,0 +1,364 @@
+/**
+ * QR codes for the Solidarity Project exhibition
+ * A small encoder that runs offline in the browser, so the kiosk screen can show a code
+ * for every artwork without a network service. Byte mode, error correction level M,
+ * versions 1-10 (up to 213 bytes, plenty for an artwork URL).
+ */
+
+// Error correction codewords per block and number of blocks at level M, by version
+const QR_ECC_PER_BLOCK = [null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_ECC_BLOCKS = [null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const QR_MAX_VERSION = 10;
+
+// Level M in the format information
+const QR_ECC_FORMAT_BITS = 0;
+
+// Multiplication in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function qrMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function qrDivisor(degree) {
+  const result = new Array(degree - 1).fill(0).concat([1]);
+  let root = 1;
+
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = qrMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = qrMultiply(root, 0x02);
+  }
+
+  return result;
+}
+
+function qrRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= qrMultiply(coefficient, factor);
+    });
+  });
+
+  return result;
+}
+
+// Modules left for data and error correction once the function patterns are drawn
+function qrRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function qrDataCodewords(version) {
+  return Math.floor(qrRawDataModules(version) / 8) - QR_ECC_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+}
+
+function qrAlignmentPositions(version, size) {
+  if (version === 1) return [];
+
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < count; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+// Mode, length, data, terminator and padding, split into codewords
+function qrDataBytes(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4); // Byte mode
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = qrDataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+// Split into blocks, add each block's error correction and interleave them
+function qrInterleave(data, version) {
+  const blockCount = QR_ECC_BLOCKS[version];
+  const eccLength = QR_ECC_PER_BLOCK[version];
+  const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+  const shortBlocks = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = qrDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+    offset += block.length;
+    const ecc = qrRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks have a placeholder where the long ones have one more data codeword
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+  }
+
+  setFunction(x, y, isDark) {
+    this.modules[y][x] = isDark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) this.setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+
+    // Alignment patterns, except where they'd overlap a finder
+    const positions = qrAlignmentPositions(this.version, size);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas; the real bits go in once the mask is known
+    this.drawFormatBits(0);
+    this.drawVersionBits();
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const data = (QR_ECC_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top left finder
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true); // Always dark
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const isDark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, isDark);
+      this.setFunction(b, a, isDark);
+    }
+  }
+
+  // Codeword bits zigzag up and down two-module columns from the bottom right
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      const isUpward = ((right + 1) & 2) === 0;
+
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = isUpward ? size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // Masking twice undoes it
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && QR_MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // The standard penalty rules: long runs, 2×2 blocks, finder look-alikes and a lopsided dark share
+  penalty() {
+    const { size, modules } = this;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+
+    let score = 0;
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+
+      const pattern = line.map(isDark => (isDark ? '1' : '0')).join('');
+      score += 40 * (pattern.match(/(?=10111010000|00001011101)/g) || []).length;
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) score += 3;
+        }
+      }
+    }
+
+    score += 10 * Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size));
+    return score;
+  }
+}
+
+/**
+ * Encode `text` (UTF-8) as a QR code.
+ * Returns { size, modules } with modules[y][x] true for dark; throws if the text is too long.
+ */
+function createQrCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  let version = 1;
+  // Four bits of mode, the length field and the data must fit the data codewords
+  while (version <= QR_MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > QR_MAX_VERSION) {
+    throw new RangeError(`QR code: ${bytes.length} bytes is too long`);
+  }
+
+  const matrix = new QrMatrix(version);
+  matrix.drawCodewords(qrInterleave(qrDataBytes(bytes, version), version));
+
+  // Keep the mask that's easiest to scan
+  let best = null;
+  QR_MASKS.forEach((_, mask) => {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penalty();
+    if (!best || score < best.score) best = { mask, score };
+    matrix.applyMask(mask);
+  });
+
+  matrix.applyMask(best.mask);
+  matrix.drawFormatBits(best.mask);
+
+  return { size: matrix.size, modules: matrix.modules };
+}
+
+// The QR code as SVG markup, with the quiet zone scanners need around it
+function renderQrCode(text, { border = 4, className = '' } = {}) {
+  const { size, modules } = createQrCode(text);
+  const path = [];
+
+  modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+    });
+  });
+
+  const extent = size + border * 2;
+  return `<svg class="${className}" viewBox="0 0 ${extent} ${extent}" xmlns="http://www.w3.org/2000/svg" shape-rendering="crispEdges" aria-hidden="true">` +
+    `<rect width="${extent}" height="${extent}" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,275 @@
+/**
+ * Visitor reactions for the Solidarity Project exhibition
+ * Heart/emoji reactions on every card. Counts go through a storage adapter:
+ * LocalReactionStore (this device only, the default) or HttpReactionStore when
+ * index.html names an endpoint in <meta name="reactions-endpoint">.
+ *
+ * A store implements:
+ *   getCounts(paintingId)                 -> Promise<{ [reaction]: number }>
+ *   addReaction(paintingId, reaction)     -> Promise<counts after the change>
+ *   removeReaction(paintingId, reaction)  -> Promise<counts after the change>
+ */
+
+const REACTIONS = [
+  { id: 'heart', emoji: '❤️' },
+  { id: 'wow', emoji: '😮' },
+  { id: 'smile', emoji: '😊' },
+  { id: 'clap', emoji: '👏' }
+];
+
+const REACTION_COUNTS_KEY = 'solidaariset:reaction-counts';
+const MY_REACTIONS_KEY = 'solidaariset:my-reactions';
+
+// localStorage can throw in private browsing; reading then gives the fallback and writing does nothing
+function readStoredJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function writeStoredJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Ignore storage errors
+  }
+}
+
+// Counts kept in this browser only
+class LocalReactionStore {
+  async getCounts(paintingId) {
+    return { ...readStoredJson(REACTION_COUNTS_KEY, {})[paintingId] };
+  }
+
+  async addReaction(paintingId, reaction) {
+    return this.change(paintingId, reaction, 1);
+  }
+
+  async removeReaction(paintingId, reaction) {
+    return this.change(paintingId, reaction, -1);
+  }
+
+  change(paintingId, reaction, delta) {
+    const all = readStoredJson(REACTION_COUNTS_KEY, {});
+    const counts = { ...all[paintingId] };
+    counts[reaction] = Math.max(0, (counts[reaction] || 0) + delta);
+
+    all[paintingId] = counts;
+    writeStoredJson(REACTION_COUNTS_KEY, all);
+    return counts;
+  }
+}
+
+// Shared counts from a server: GET <endpoint>/<id>, POST and DELETE <endpoint>/<id>/<reaction>
+class HttpReactionStore {
+  constructor(endpoint) {
+    this.endpoint = endpoint.replace(/\/+$/, '');
+  }
+
+  async getCounts(paintingId) {
+    return this.request('GET', this.url(paintingId));
+  }
+
+  async addReaction(paintingId, reaction) {
+    return this.request('POST', this.url(paintingId, reaction));
+  }
+
+  async removeReaction(paintingId, reaction) {
+    return this.request('DELETE', this.url(paintingId, reaction));
+  }
+
+  url(...parts) {
+    return [this.endpoint, ...parts.map(encodeURIComponent)].join('/');
+  }
+
+  async request(method, url) {
+    const response = await fetch(url, { method, headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`${method} ${url} failed with ${response.status}`);
+    }
+    return response.json();
+  }
+}
+
+function createReactionStore() {
+  const meta = document.querySelector('meta[name="reactions-endpoint"]');
+  const endpoint = meta && meta.content.trim();
+  return endpoint ? new HttpReactionStore(endpoint) : new LocalReactionStore();
+}
+
+// At most `limit` actions in any `interval` milliseconds
+class RateLimiter {
+  constructor(limit, interval) {
+    this.limit = limit;
+    this.interval = interval;
+    this.times = [];
+  }
+
+  tryTake(now = Date.now()) {
+    this.times = this.times.filter(time => now - time < this.interval);
+    if (this.times.length >= this.limit) return false;
+
+    this.times.push(now);
+    return true;
+  }
+}
+
+// Markup for a card's reaction bar; VisitorReactions fills in the counts
+function renderReactionBar() {
+  const buttons = REACTIONS.map(reaction => `
+    <button type="button" class="card-deck__reaction" data-reaction="${reaction.id}" aria-pressed="false">
+      <span class="card-deck__reaction-emoji" aria-hidden="true">${reaction.emoji}</span>
+      <span class="sr-only">${t(`reactions.${reaction.id}`)}</span>
+      <span class="card-deck__reaction-count" data-reaction-count>0</span>
+    </button>
+  `).join('');
+
+  return `<div class="card-deck__reactions" role="group" aria-label="${t('reactions.label')}">${buttons}</div>`;
+}
+
+class VisitorReactions {
+  constructor(deck, store) {
+    this.deck = deck;
+    this.store = store;
+    this.status = document.querySelector('[data-reactions-status]');
+
+    // What this visitor has reacted with, per painting: shown at once, sent after a pause
+    this.mine = readStoredJson(MY_REACTIONS_KEY, {});
+    // What the store last heard from this visitor, so toggling back and forth sends nothing
+    this.sent = new Map();
+    this.counts = new Map();
+    this.pending = new Map();
+    this.announceTimeout = null;
+
+    this.debounceDelay = 800;
+    this.limiter = new RateLimiter(10, 60000); // 10 changes a minute
+
+    this.init();
+  }
+
+  init() {
+    this.deck.container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-reaction]');
+      const slide = button && button.closest('.slide');
+      if (slide) this.toggle(slide.dataset.paintingId, button.dataset.reaction);
+    });
+
+    this.deck.carousel.addEventListener('slidechange', () => this.loadCurrent());
+    this.loadCurrent();
+  }
+
+  hasReacted(paintingId, reaction) {
+    return (this.mine[paintingId] || []).includes(reaction);
+  }
+
+  setReacted(paintingId, reaction, isReacted) {
+    const list = (this.mine[paintingId] || []).filter(r => r !== reaction);
+    if (isReacted) list.push(reaction);
+
+    if (list.length > 0) {
+      this.mine[paintingId] = list;
+    } else {
+      delete this.mine[paintingId];
+    }
+    writeStoredJson(MY_REACTIONS_KEY, this.mine);
+  }
+
+  // Counts are fetched for the card on top, once per visit
+  async loadCurrent() {
+    const slide = this.deck.slides[this.deck.currentSlide];
+    const paintingId = slide && slide.dataset.paintingId;
+    if (!paintingId || this.counts.has(paintingId)) return;
+
+    try {
+      this.counts.set(paintingId, await this.store.getCounts(paintingId));
+    } catch (error) {
+      console.warn('Could not load reactions:', error);
+      return;
+    }
+    this.render(paintingId);
+  }
+
+  toggle(paintingId, reaction) {
+    const key = `${paintingId}:${reaction}`;
+    if (!this.sent.has(key)) {
+      this.sent.set(key, this.hasReacted(paintingId, reaction));
+    }
+
+    const isReacted = !this.hasReacted(paintingId, reaction);
+    this.setReacted(paintingId, reaction, isReacted);
+    this.adjustCount(paintingId, reaction, isReacted ? 1 : -1);
+    this.render(paintingId);
+
+    clearTimeout(this.pending.get(key));
+    this.pending.set(key, setTimeout(() => this.commit(paintingId, reaction), this.debounceDelay));
+  }
+
+  async commit(paintingId, reaction) {
+    const key = `${paintingId}:${reaction}`;
+    const wanted = this.hasReacted(paintingId, reaction);
+    const sent = this.sent.get(key);
+    this.pending.delete(key);
+
+    if (wanted === sent) return;
+
+    // Too many changes in a short time: undo this one rather than send it
+    if (!this.limiter.tryTake()) {
+      this.revert(paintingId, reaction, sent);
+      this.announce(t('reactions.slowDown'));
+      return;
+    }
+
+    this.sent.set(key, wanted);
+
+    try {
+      const counts = wanted
+        ? await this.store.addReaction(paintingId, reaction)
+        : await this.store.removeReaction(paintingId, reaction);
+      this.counts.set(paintingId, counts);
+      this.render(paintingId);
+    } catch (error) {
+      console.warn('Could not save reaction:', error);
+      this.sent.set(key, sent);
+      this.revert(paintingId, reaction, sent);
+      this.announce(t('reactions.failed'));
+    }
+  }
+
+  revert(paintingId, reaction, isReacted) {
+    if (this.hasReacted(paintingId, reaction) === isReacted) return;
+
+    this.setReacted(paintingId, reaction, isReacted);
+    this.adjustCount(paintingId, reaction, isReacted ? 1 : -1);
+    this.render(paintingId);
+  }
+
+  adjustCount(paintingId, reaction, delta) {
+    const counts = { ...this.counts.get(paintingId) };
+    counts[reaction] = Math.max(0, (counts[reaction] || 0) + delta);
+    this.counts.set(paintingId, counts);
+  }
+
+  render(paintingId) {
+    const slide = this.deck.allSlides.find(s => s.dataset.paintingId === paintingId);
+    if (!slide) return;
+
+    const counts = this.counts.get(paintingId) || {};
+    slide.querySelectorAll('[data-reaction]').forEach(button => {
+      const reaction = button.dataset.reaction;
+      button.setAttribute('aria-pressed', this.hasReacted(paintingId, reaction).toString());
+      button.querySelector('[data-reaction-count]').textContent = (counts[reaction] || 0).toLocaleString(getLanguage());
+    });
+  }
+
+  announce(text) {
+    if (!this.status) return;
+
+    this.status.textContent = text;
+    clearTimeout(this.announceTimeout);
+    this.announceTimeout = setTimeout(() => {
+      this.status.textContent = '';
+    }, 5000);
+  }
+}
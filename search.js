@@ -0,0 +1,98 @@
+/**
+ * Search for the Solidarity Project exhibition
+ * Filters the card deck by title, painter and description, ignoring case and diacritics.
+ */
+
+// "Kesä" -> "kesa", so visitors can type without å/ä/ö
+function normalizeForSearch(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+class ExhibitionSearch {
+  constructor(element, paintings, deck) {
+    this.search = element;
+    this.deck = deck;
+    this.input = this.search.querySelector('[data-search-input]');
+    this.status = this.search.querySelector('[data-search-status]');
+    this.empty = document.querySelector('[data-search-empty]');
+
+    this.debounceDelay = 150;
+    this.debounceTimer = null;
+
+    // Pre-normalised text to match against, keyed by painting id; translations are searchable too
+    this.index = new Map(paintings.map(painting => {
+      const texts = [painting.title, painting.painter, painting.description, ...painting.tags, ...painting.tags.map(tagLabel)];
+      Object.values(painting.translations).forEach(translation => {
+        texts.push(translation.title, translation.description);
+      });
+      return [painting.id, normalizeForSearch(texts.join(' '))];
+    }));
+
+    this.init();
+  }
+
+  init() {
+    if (!this.input) return;
+
+    this.input.addEventListener('input', () => {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(() => this.apply(), this.debounceDelay);
+    });
+
+    // Escape clears the search
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.input.value) {
+        e.preventDefault();
+        this.input.value = '';
+        this.apply();
+      }
+    });
+  }
+
+  apply() {
+    const query = this.input.value.trim();
+    const terms = normalizeForSearch(query).split(/\s+/).filter(Boolean);
+
+    if (terms.length === 0) {
+      this.deck.showAll();
+      this.deck.releaseAutoplay('search');
+      this.deck.resumeAutoplay();
+      this.updateStatus(query, this.deck.totalSlides);
+      return;
+    }
+
+    // Every term has to appear somewhere in the painting's texts
+    const matches = this.deck.allSlides.filter(slide => {
+      const text = this.index.get(slide.dataset.paintingId) || '';
+      return terms.every(term => text.includes(term));
+    });
+
+    this.deck.showOnly(matches);
+
+    // Let the visitor look through the results without the deck running off
+    this.deck.holdAutoplay('search');
+    this.updateStatus(query, matches.length);
+  }
+
+  // Forget the query without touching the deck (a curated tour takes over the deck instead)
+  reset() {
+    clearTimeout(this.debounceTimer);
+    this.input.value = '';
+    this.updateStatus('', 0);
+    this.deck.releaseAutoplay('search');
+  }
+
+  updateStatus(query, count) {
+    if (this.status) {
+      this.status.textContent = query ? t('search.results', { count }) : '';
+    }
+
+    if (this.empty) {
+      this.empty.hidden = !query || count > 0;
+      this.empty.textContent = t('search.empty', { query });
+    }
+  }
+}
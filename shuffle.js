@@ -0,0 +1,89 @@
+/**
+ * Shuffled order for the Solidarity Project card deck
+ * The shuffle button deals the exhibition in a random order. The order comes from a
+ * seed in the address (?shuffle=k3j9x2), so a shared link shows someone else the same
+ * order, and the seed and the card reached stay in localStorage for the next visit.
+ */
+
+const SHUFFLE_STORAGE_KEY = 'solidaariset:shuffle';
+const SHUFFLE_PARAM = 'shuffle';
+
+// localStorage can throw in private browsing; the order then lasts for the visit only
+function loadShuffle() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SHUFFLE_STORAGE_KEY));
+    return saved && typeof saved.seed === 'string' ? saved : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The order to deal the deck in: a shared link's, else the visitor's own from last time
+function initialShuffleSeed() {
+  const saved = loadShuffle();
+  return new URLSearchParams(window.location.search).get(SHUFFLE_PARAM) || (saved && saved.seed) || null;
+}
+
+// Short enough for a link, e.g. "k3j9x2"
+function newShuffleSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0].toString(36);
+}
+
+class DeckShuffle {
+  constructor(element, deck) {
+    this.toggleBtn = element;
+    this.deck = deck;
+
+    this.init();
+  }
+
+  init() {
+    // Back where the visitor left this order; DeckHistory, created next, still honours a card in the address
+    const saved = loadShuffle();
+    if (this.deck.seed && saved && saved.seed === this.deck.seed) {
+      const index = this.deck.slides.findIndex(slide => slide.dataset.paintingId === saved.id);
+      if (index > 0) this.deck.goToSlide(index, 'restore');
+    }
+
+    this.toggleBtn.addEventListener('click', () => {
+      this.deck.shuffle(this.deck.seed ? null : newShuffleSeed());
+      this.save();
+      this.updateControls();
+    });
+
+    this.deck.carousel.addEventListener('slidechange', () => this.save());
+
+    this.save();
+    this.updateControls();
+  }
+
+  updateControls() {
+    this.toggleBtn.setAttribute('aria-pressed', Boolean(this.deck.seed).toString());
+
+    // The seed goes in the address, so copying it shares the order
+    const url = new URL(window.location.href);
+    if (this.deck.seed) {
+      url.searchParams.set(SHUFFLE_PARAM, this.deck.seed);
+    } else {
+      url.searchParams.delete(SHUFFLE_PARAM);
+    }
+    if (url.href !== window.location.href) {
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  // The seed and the painting on top; intro cards of curated tours leave the last painting saved
+  save() {
+    const slide = this.deck.slides[this.deck.currentSlide];
+
+    try {
+      if (!this.deck.seed) {
+        localStorage.removeItem(SHUFFLE_STORAGE_KEY);
+      } else if (slide && slide.dataset.paintingId) {
+        localStorage.setItem(SHUFFLE_STORAGE_KEY, JSON.stringify({ seed: this.deck.seed, id: slide.dataset.paintingId }));
+      }
+    } catch (error) {
+      // Ignore storage errors
+    }
+  }
+}
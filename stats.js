@@ -0,0 +1,105 @@
+/**
+ * Engagement statistics for the Solidarity Project exhibition
+ * Counts which works visitors look at, for the project's reporting: deliberate card
+ * views, time on top of the deck, lightbox opens, and manual versus automatic moves.
+ *
+ * Nothing identifies a visitor: no cookies, no storage, no session or device ids,
+ * only the artwork, what happened and the day. Events wait in memory and go to the
+ * collector in batches with navigator.sendBeacon. Collection is off unless index.html
+ * names a collector in <meta name="stats-endpoint">, and for visitors whose browser
+ * sends Do Not Track or Global Privacy Control.
+ *
+ * A batch: { "version": 1, "day": "2025-05-14", "events": [...] }, each event one of
+ *   { "type": "view", "id": "014", "source": "user" | "history" }
+ *   { "type": "autoplay", "id": "014" }   shown by the rotation; not a view
+ *   { "type": "dwell", "id": "014", "ms": 5200, "source": "user" | ... | "filter" | "autoplay" | "initial" }
+ *   { "type": "lightbox", "id": "014" }
+ * Cards a search, shuffle or tour brings to the top ("filter") aren't views either.
+ * admin/stats.html adds up exported batches.
+ */
+
+const STATS_VERSION = 1;
+
+// Events per beacon; the rest go when the page is hidden or closed
+const STATS_BATCH_SIZE = 20;
+
+class EngagementStats {
+  constructor(deck, endpoint, { batchSize = STATS_BATCH_SIZE } = {}) {
+    this.deck = deck;
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.queue = [];
+
+    this.init();
+  }
+
+  init() {
+    const carousel = this.deck.carousel;
+
+    carousel.addEventListener('slidechange', (e) => this.handleSlideChange(e.detail));
+    carousel.addEventListener('dwell', (e) => this.handleDwell(e.detail));
+    carousel.addEventListener('lightboxopen', (e) => this.record('lightbox', e.detail.slide));
+
+    // The last chance to send what's waiting; beacons survive the page closing
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.flush();
+    });
+    window.addEventListener('pagehide', () => this.flush());
+  }
+
+  handleSlideChange({ slide, source }) {
+    // The rotation moving on says nothing about what anyone chose to look at, and neither does
+    // a filter putting its first match on top (every search keystroke, a new order, a tour's start)
+    // or the shuffle going back to where the last visit ended, on every page load
+    if (source === 'autoplay') {
+      this.record('autoplay', slide);
+    } else if (source !== 'filter' && source !== 'restore') {
+      this.record('view', slide, { source });
+    }
+  }
+
+  handleDwell({ slide, duration, source }) {
+    if (duration > 0) {
+      this.record('dwell', slide, { ms: Math.round(duration), source });
+    }
+  }
+
+  // Only artworks count; tour intro cards have no painting id
+  record(type, slide, details = {}) {
+    const id = slide && slide.dataset.paintingId;
+    if (!id) return;
+
+    this.queue.push({ type, id, ...details });
+    if (this.queue.length >= this.batchSize) this.flush();
+  }
+
+  flush() {
+    if (this.queue.length === 0) return;
+
+    const batch = {
+      version: STATS_VERSION,
+      day: new Date().toISOString().slice(0, 10),
+      events: this.queue
+    };
+    this.queue = [];
+
+    // A string body is sent as text/plain, which needs no CORS preflight
+    const body = JSON.stringify(batch);
+    if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+
+    fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {
+      // Statistics are best effort; the visitor never hears about them
+    });
+  }
+}
+
+function statsAllowed() {
+  return navigator.doNotTrack !== '1' && !navigator.globalPrivacyControl;
+}
+
+// Statistics for the deck, or null when there's no collector or the visitor opted out
+function createEngagementStats(deck) {
+  const meta = document.querySelector('meta[name="stats-endpoint"]');
+  const endpoint = meta && meta.content.trim();
+  return endpoint && statsAllowed() ? new EngagementStats(deck, endpoint) : null;
+}
@@ -0,0 +1,267 @@
+/**
+ * Service worker for the Solidarity Project exhibition
+ * Precaches the app shell and catalogue, caches paintings as they are viewed
+ * and can download the whole exhibition for offline showings. Each time the
+ * catalogue is refreshed, cached images it no longer publishes are dropped.
+ *
+ * Bump SHELL_VERSION whenever index.html, the scripts or styles.css change;
+ * open pages then offer the visitor an update.
+ */
+
+importScripts('consent.js');
+
+const SHELL_VERSION = 'v2';
+const SHELL_CACHE = `solidaariset-shell-${SHELL_VERSION}`;
+const PAINTINGS_CACHE = 'solidaariset-paintings';
+const CATALOGUE_URL = 'painting_list.jsonl';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'styles.css',
+  'print.css',
+  'i18n.js',
+  'images.js',
+  'lightbox.js',
+  'deck-history.js',
+  'gallery.js',
+  'filmstrip.js',
+  'tour.js',
+  'search.js',
+  'curated-tours.js',
+  'reactions.js',
+  'stats.js',
+  'favourites.js',
+  'shuffle.js',
+  'artists.js',
+  'offline.js',
+  'qr-code.js',
+  'kiosk.js',
+  'consent.js',
+  'carousel.js',
+  'card-deck.js',
+  CATALOGUE_URL,
+  'tours.jsonl',
+  'manifest.webmanifest',
+  'favicon.ico',
+  'other_images/icon-192.png',
+  'other_images/icon-512.png',
+  'other_images/icon-maskable-512.png',
+  'other_images/apple-touch-icon.png',
+  'other_images/solidarity_logo.png',
+  'other_images/art_is_hot_hand.png',
+  'other_images/solidaariset_ryhma.jpeg',
+  'other_images/eu_cofunded.jpeg',
+  'luettelo/',
+  'luettelo/index.html',
+  'luettelo/catalogue.css',
+  'luettelo/catalogue.js'
+];
+
+// Offline navigation the cache can't answer gets its section's page (see offlinePage())
+const OFFLINE_PAGES = [
+  ['luettelo/', 'luettelo/index.html']
+];
+
+// Optional files: the site works without them, so a missing one mustn't break install
+const OPTIONAL_SHELL_FILES = [
+  'paintings/variants/manifest.json'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+    await Promise.all(OPTIONAL_SHELL_FILES.map(url => cache.add(url).catch(() => {})));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('solidaariset-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+
+  if (type === 'skip-waiting') {
+    self.skipWaiting();
+  } else if (type === 'download-all') {
+    event.waitUntil(downloadAll(event.data.urls || [], event.source));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  const scopePath = new URL(self.registration.scope).pathname;
+  const relativePath = url.pathname.slice(scopePath.length);
+
+  if (relativePath === CATALOGUE_URL) {
+    event.respondWith(catalogueStaleWhileRevalidate(event));
+  } else if (relativePath.startsWith('paintings/') && relativePath !== OPTIONAL_SHELL_FILES[0]) {
+    event.respondWith(paintingCacheFirst(request, relativePath));
+  } else {
+    event.respondWith(shellCacheFirst(request, relativePath));
+  }
+});
+
+async function shellCacheFirst(request, relativePath) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    // Offline navigation to a deep link still gets a page
+    if (request.mode === 'navigate') {
+      return offlinePage(relativePath);
+    }
+    throw error;
+  }
+}
+
+// index.html only works at the root: below it, its relative scripts and styles would resolve
+// under the requested path, so those navigations are redirected instead. Artwork pages aren't
+// cached, so a withdrawn work's page can't outlive it; offline, the deck opens on the work.
+function offlinePage(relativePath) {
+  const section = OFFLINE_PAGES.find(([prefix]) => relativePath.startsWith(prefix));
+  if (section) return caches.match(section[1]);
+
+  const artwork = relativePath.match(/^teos\/([^/]+)/);
+  if (artwork) return Response.redirect(`${self.registration.scope}#teos/${artwork[1]}`);
+
+  return relativePath.includes('/') ? Response.redirect(self.registration.scope) : caches.match('index.html');
+}
+
+// Paintings are cached the first time they're viewed
+async function paintingCacheFirst(request, relativePath) {
+  const cache = await caches.open(PAINTINGS_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const fallback = await offlineImageFallback(cache, relativePath);
+    if (fallback) return fallback;
+    throw error;
+  }
+}
+
+// Offline, a missing size/format variant (e.g. variants/014-960.avif) falls back to the cached original
+async function offlineImageFallback(cache, relativePath) {
+  const match = relativePath.match(/^paintings\/variants\/(.+)-\d+\.(avif|webp)$/);
+  if (!match) return null;
+
+  return cache.match(`paintings/${match[1]}.jpg`);
+}
+
+// Serve the cached catalogue at once, refresh it in the background and tell pages when it changed
+async function catalogueStaleWhileRevalidate(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(CATALOGUE_URL);
+  const previousText = cached ? cached.clone().text() : Promise.resolve(null);
+
+  const refresh = (async () => {
+    try {
+      const response = await fetch(event.request, { cache: 'no-cache' });
+      if (!response.ok) return response;
+
+      const text = await response.clone().text();
+      const previous = await previousText;
+      await cache.put(CATALOGUE_URL, response.clone());
+      await prunePaintings(text);
+
+      if (previous !== null && previous !== text) {
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'catalogue-updated' }));
+      }
+      return response;
+    } catch (error) {
+      return null;
+    }
+  })();
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+
+  const response = await refresh;
+  return response || Response.error();
+}
+
+// "014" and "014_desc" for every image the catalogue publishes today, as carousel.js reads it
+function publishedImageNames(text) {
+  const names = new Set();
+  const baseName = image => image.replace(/\.[^.]+$/, '');
+
+  text.split(/\r?\n/).forEach(line => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      return;
+    }
+    if (!entry || typeof entry.image !== 'string' || entry.hidden === true) return;
+
+    const consent = publishingConsent(entry);
+    if (!consent.image) return;
+
+    names.add(baseName(entry.image));
+    if (consent.descriptionImage && typeof entry.descriptionImage === 'string' && entry.descriptionImage) {
+      names.add(baseName(entry.descriptionImage));
+    }
+  });
+
+  return names;
+}
+
+// Works that were hidden or withdrawn mustn't stay on the device, downloaded for offline or not
+async function prunePaintings(text) {
+  const names = publishedImageNames(text);
+  const cache = await caches.open(PAINTINGS_CACHE);
+  const scopePath = new URL(self.registration.scope).pathname;
+
+  const requests = await cache.keys();
+  await Promise.all(requests.map(request => {
+    const relativePath = new URL(request.url).pathname.slice(scopePath.length);
+    // paintings/014.jpg, paintings/variants/014_desc-640.webp
+    const match = relativePath.match(/^paintings\/variants\/(.+)-\d+\.\w+$/) || relativePath.match(/^paintings\/([^/]+)\.\w+$/);
+    return match && !names.has(match[1]) ? cache.delete(request) : null;
+  }));
+}
+
+async function downloadAll(urls, client) {
+  const cache = await caches.open(PAINTINGS_CACHE);
+  let done = 0;
+  let failed = 0;
+
+  for (const url of urls) {
+    try {
+      if (!(await cache.match(url))) {
+        await cache.add(url);
+      }
+    } catch (error) {
+      failed++;
+    }
+
+    done++;
+    if (client) {
+      client.postMessage({ type: 'download-progress', done, failed, total: urls.length });
+    }
+  }
+}
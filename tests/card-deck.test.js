@@ -0,0 +1,29 @@
+/**
+ * The card deck's seeded shuffle (card-deck.js)
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { importBrowserModule } = require('./load-browser-script');
+
+const ids = Array.from({ length: 68 }, (_, index) => String(index + 1).padStart(3, '0'));
+
+test('the same seed deals the same order, a different seed another', async () => {
+  const { seededShuffle } = await importBrowserModule('card-deck.js');
+
+  const order = seededShuffle(ids, 'abc');
+  assert.deepEqual(seededShuffle(ids, 'abc'), order);
+  assert.notDeepEqual(seededShuffle(ids, 'abd'), order);
+  assert.deepEqual([...order].sort(), ids);
+  // The list given is left as it was
+  assert.equal(ids[0], '001');
+});
+
+test('shared links keep their order from one release to the next', async () => {
+  const { seededShuffle } = await importBrowserModule('card-deck.js');
+
+  assert.deepEqual(seededShuffle(ids, 'abc').slice(0, 6), ['042', '017', '018', '025', '050', '043']);
+});
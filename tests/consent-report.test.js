@@ -0,0 +1,72 @@
+/**
+ * Publishing consent: the report (tools/consent-report.js) and what the static pages and the deployed
+ * catalogue show (tools/catalogue.js)
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { consentReport } = require('../tools/consent-report');
+const { parseCatalogueText, publicEntry, publicPainting, publishedImages } = require('../tools/catalogue');
+
+const lines = entries => entries.map(entry => JSON.stringify(entry)).join('\n');
+const ids = entries => entries.map(entry => entry.id);
+
+const TODAY = '2026-05-14';
+
+const CATALOGUE = lines([
+  { image: '001.jpg', descriptionImage: '001_desc.jpg', title: 'Ilo', painter: 'Miisa' },
+  { image: '002.jpg', descriptionImage: '002_desc.jpg', title: 'Lilja', painter: 'Magic man', alt: 'Magic manin lilja', translations: { en: { title: 'Lily', alt: 'Lily by Magic man' } }, consent: { image: true, name: false, descriptionImage: false } },
+  { image: '003.jpg', title: 'Kuu', painter: 'Abdu', consent: { image: true, name: true, descriptionImage: true, withdrawal: '2026-05-14' } },
+  { image: '004.jpg', title: 'Puu', painter: 'Toni', consent: { image: true, name: true, descriptionImage: true, withdrawal: '2026-06-01' } },
+  { image: '005.jpg', title: 'Meri', painter: 'Olkkarin aktiivinen kävijä', hidden: true },
+  { image: '006.jpg', title: 'Kissa', painter: 'Juuso', consent: { image: true, name: true, descriptionImage: true, withdrawal: '2026-09-01' } }
+]);
+
+test('the report lists entries without consent, withdrawals that have come and ones due soon', () => {
+  const report = consentReport(CATALOGUE, TODAY);
+
+  assert.deepEqual(ids(report.missing), ['001', '005']);
+  assert.equal(report.missing[1].hidden, true);
+  assert.deepEqual(ids(report.withdrawn), ['003']);
+  assert.deepEqual(ids(report.upcoming), ['004']);
+  assert.deepEqual(ids(report.anonymous), ['002']);
+  assert.deepEqual(ids(report.withheldDescriptions), ['002']);
+});
+
+test('pages built before a withdrawal came, or for works no longer shown, are stale', () => {
+  const pages = ['001', '002', '003', '004', '005', '099'];
+
+  assert.deepEqual(consentReport(CATALOGUE, TODAY, pages).stalePages, ['003', '005', '099']);
+  assert.deepEqual(consentReport(CATALOGUE, '2026-05-13', pages).stalePages, ['005', '099']);
+  assert.deepEqual(consentReport(CATALOGUE, TODAY).stalePages, []);
+});
+
+test('static pages leave out hidden and withdrawn works and withhold names and description photos', () => {
+  const shown = parseCatalogueText(CATALOGUE).paintings.map(painting => publicPainting(painting, TODAY)).filter(Boolean);
+
+  assert.deepEqual(ids(shown), ['001', '002', '004', '006']);
+  assert.equal(shown[0].painter, 'Miisa');
+  assert.equal(shown[0].descriptionImage, '001_desc.jpg');
+  assert.equal(shown[1].painter, 'Nimetön taiteilija');
+  assert.deepEqual(shown[1].artists, []);
+  assert.equal(shown[1].descriptionImage, '');
+  assert.equal(shown[1].alt, '');
+  assert.deepEqual(shown[1].translations, { en: { title: 'Lily' } });
+});
+
+test('the deployed catalogue and images leave out what may not be shown', () => {
+  const shown = parseCatalogueText(CATALOGUE).paintings.map(painting => publicPainting(painting, TODAY)).filter(Boolean);
+  const deployed = shown.map(publicEntry).map(entry => JSON.stringify(entry)).join('\n');
+
+  assert.doesNotMatch(deployed, /Magic man|Olkkarin|Abdu|002_desc/);
+  assert.deepEqual(ids(parseCatalogueText(deployed).paintings), ['001', '002', '004', '006']);
+  assert.deepEqual(publishedImages(shown), ['001.jpg', '001_desc.jpg', '002.jpg', '004.jpg', '006.jpg']);
+});
+
+test('a recorded consent that leaves something out allows nothing for it', () => {
+  const text = lines([{ image: '001.jpg', descriptionImage: '001_desc.jpg', title: 'Ilo', painter: 'Miisa', consent: { name: true } }]);
+  assert.equal(publicPainting(parseCatalogueText(text).paintings[0], TODAY), null);
+});
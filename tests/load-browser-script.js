@@ -0,0 +1,58 @@
+/**
+ * Loads one of the site's classic <script> files into a fresh VM context so tests
+ * can reach its top-level functions and classes without a browser, and card-deck.js
+ * as the ES module it is. The tests need Node 18 or newer.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// In-memory stand-in for window.localStorage
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+// Global from Node 19 on; Node 18 has Event but not CustomEvent
+const CustomEvent = globalThis.CustomEvent || class CustomEvent extends Event {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.detail = init.detail === undefined ? null : init.detail;
+  }
+};
+
+// The repository has no package.json saying "type": "module", and Node before 20.19 won't
+// load a .js file with export statements as a module; a data: URL is always one
+function importBrowserModule(file) {
+  const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  return import(`data:text/javascript;charset=utf-8,${encodeURIComponent(code)}`);
+}
+
+// `names` are the top-level bindings to hand back, e.g. ['RateLimiter']
+function loadBrowserScript(file, names, globals = {}) {
+  const context = vm.createContext({
+    console,
+    fetch,
+    URL,
+    setTimeout,
+    clearTimeout,
+    localStorage: createMemoryStorage(),
+    ...globals
+  });
+
+  const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const exports = vm.runInContext(`${code}\n;({ ${names.join(', ')} })`, context, { filename: file });
+  return { ...exports, context };
+}
+
+module.exports = { loadBrowserScript, importBrowserModule, createMemoryStorage, CustomEvent };
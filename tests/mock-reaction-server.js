@@ -0,0 +1,70 @@
+/**
+ * Mock reaction server for tests and local development of HttpReactionStore.
+ * Keeps counts in memory and refuses more than `limit` changes per client a minute.
+ *
+ * Usage: node tests/mock-reaction-server.js [port]
+ * then set <meta name="reactions-endpoint" content="http://localhost:<port>/reactions">
+ */
+
+'use strict';
+
+const http = require('http');
+
+const REACTION_IDS = ['heart', 'wow', 'smile', 'clap'];
+
+function startMockReactionServer({ port = 0, limit = 30 } = {}) {
+  const counts = new Map();
+  const changes = new Map();
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE'
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'OPTIONS') return send(204, {});
+
+    // /reactions/<id> or /reactions/<id>/<reaction>
+    const [prefix, paintingId, reaction] = new URL(req.url, 'http://localhost').pathname
+      .split('/').filter(Boolean).map(decodeURIComponent);
+    if (prefix !== 'reactions' || !paintingId) return send(404, { error: 'not found' });
+
+    const current = counts.get(paintingId) || {};
+
+    if (req.method === 'GET' && !reaction) return send(200, current);
+
+    if ((req.method === 'POST' || req.method === 'DELETE') && REACTION_IDS.includes(reaction)) {
+      const client = req.socket.remoteAddress;
+      const now = Date.now();
+      const recent = (changes.get(client) || []).filter(time => now - time < 60000);
+      if (recent.length >= limit) return send(429, { error: 'too many reactions' });
+      changes.set(client, [...recent, now]);
+
+      const delta = req.method === 'POST' ? 1 : -1;
+      const updated = { ...current, [reaction]: Math.max(0, (current[reaction] || 0) + delta) };
+      counts.set(paintingId, updated);
+      return send(200, updated);
+    }
+
+    return send(400, { error: 'bad request' });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/reactions`;
+      resolve({ server, url, counts, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockReactionServer({ port: Number(process.argv[2]) || 8787 }).then(({ url }) => {
+    console.log(`Mock reaction server at ${url}`);
+  });
+}
+
+module.exports = { startMockReactionServer };
@@ -0,0 +1,78 @@
+/**
+ * Mock statistics collector for tests and local development of stats.js.
+ * Keeps every batch in memory; GET returns them as JSON lines, the export format
+ * admin/stats.html reads.
+ *
+ * Usage: node tests/mock-stats-collector.js [port]
+ * then set <meta name="stats-endpoint" content="http://localhost:<port>/stats">
+ * and save http://localhost:<port>/stats as the export.
+ */
+
+'use strict';
+
+const http = require('http');
+
+// Far more than a batch of 20 events needs
+const MAX_BODY = 64 * 1024;
+
+function isBatch(batch) {
+  return Boolean(batch) && batch.version === 1 && typeof batch.day === 'string' && Array.isArray(batch.events);
+}
+
+function startMockStatsCollector({ port = 0 } = {}) {
+  const batches = [];
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body = '', type = 'text/plain') => {
+      res.writeHead(status, {
+        'Content-Type': type,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST'
+      });
+      res.end(body);
+    };
+
+    if (req.method === 'OPTIONS') return send(204);
+    if (new URL(req.url, 'http://localhost').pathname !== '/stats') return send(404, 'not found');
+
+    if (req.method === 'GET') {
+      return send(200, batches.map(batch => `${JSON.stringify(batch)}\n`).join(''), 'application/x-ndjson');
+    }
+
+    if (req.method !== 'POST') return send(405, 'method not allowed');
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) req.destroy();
+    });
+    req.on('end', () => {
+      let batch = null;
+      try {
+        batch = JSON.parse(body);
+      } catch (error) {
+        // Answered below
+      }
+
+      if (!isBatch(batch)) return send(400, 'bad batch');
+      batches.push(batch);
+      return send(204);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/stats`;
+      resolve({ server, url, batches, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockStatsCollector({ port: Number(process.argv[2]) || 8788 }).then(({ url }) => {
+    console.log(`Mock statistics collector at ${url}`);
+  });
+}
+
+module.exports = { startMockStatsCollector };
@@ -0,0 +1,82 @@
+/**
+ * QR encoder (qr-code.js) against known vectors: codewords, error correction, format and version bits
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScript } = require('./load-browser-script');
+
+const NAMES = ['createQrCode', 'renderQrCode', 'qrDataBytes', 'qrInterleave', 'qrRemainder', 'qrDivisor', 'QrMatrix'];
+
+// Objects made inside the VM have the VM's Object.prototype; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const qr = loadBrowserScript('qr-code.js', NAMES, { TextEncoder });
+
+// Level M format information for masks 0-7, most significant bit first (ISO/IEC 18004 table C.1)
+const FORMAT_M = [
+  '101010000010010',
+  '101000100100101',
+  '101111001111100',
+  '101101101001011',
+  '100010111111001',
+  '100000011001110',
+  '100111110010111',
+  '100101010100000'
+];
+
+// The format bits as written beside the top right and bottom left finders
+function readFormatBits({ size, modules }) {
+  let bits = 0;
+  for (let i = 0; i < 8; i++) bits |= (modules[8][size - 1 - i] ? 1 : 0) << i;
+  for (let i = 8; i < 15; i++) bits |= (modules[size - 15 + i][8] ? 1 : 0) << i;
+  return bits.toString(2).padStart(15, '0');
+}
+
+test('error correction matches the 1-M "HELLO WORLD" example', () => {
+  const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+  assert.deepEqual(plain(qr.qrRemainder(data, qr.qrDivisor(10))), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+});
+
+test('"Hello" in byte mode: mode, length, data, terminator and padding, then its error correction', () => {
+  const data = qr.qrDataBytes(Array.from(Buffer.from('Hello')), 1);
+
+  // 0100 | 00000101 | 48 65 6c 6c 6f | 0000, then the 0xec/0x11 pad bytes
+  assert.deepEqual(plain(data), [0x40, 0x54, 0x86, 0x56, 0xc6, 0xc6, 0xf0, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec]);
+  // One block at 1-M, so the error correction simply follows the data
+  assert.deepEqual(plain(qr.qrInterleave(data, 1)), [...plain(data), 129, 159, 12, 110, 77, 0, 242, 56, 116, 87]);
+});
+
+test('format bits for every mask at level M, and the mask chosen for a symbol', () => {
+  FORMAT_M.forEach((expected, mask) => {
+    const matrix = new qr.QrMatrix(1);
+    matrix.drawFormatBits(mask);
+    assert.equal(readFormatBits(matrix), expected, `mask ${mask}`);
+  });
+
+  // Mask 2 scores lowest for these; reference encoders pick the same
+  const hello = qr.createQrCode('Hello');
+  assert.equal(hello.size, 21);
+  assert.equal(readFormatBits(hello), FORMAT_M[2]);
+
+  const url = qr.createQrCode('https://solidaarisetnuoret.fi/teos/014/');
+  assert.equal(url.size, 29);
+  assert.equal(readFormatBits(url), FORMAT_M[2]);
+});
+
+test('version 7 and up carry their version bits', () => {
+  const matrix = new qr.QrMatrix(7);
+  let bits = 0;
+  for (let i = 0; i < 18; i++) bits |= (matrix.modules[Math.floor(i / 3)][matrix.size - 11 + i % 3] ? 1 : 0) << i;
+
+  assert.equal(bits, 0x07c94);
+});
+
+test('version 10 is the limit, and the SVG keeps a quiet zone around the code', () => {
+  assert.equal(qr.createQrCode('x'.repeat(213)).size, 57);
+  assert.throws(() => qr.createQrCode('x'.repeat(214)), /too long/);
+  assert.match(qr.renderQrCode('Hello', { className: 'card-deck__qr-code' }), /^<svg class="card-deck__qr-code" viewBox="0 0 29 29"/);
+});
@@ -0,0 +1,194 @@
+/**
+ * Reaction storage adapters, rate limiting and the reaction bar's behaviour (reactions.js)
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScript } = require('./load-browser-script');
+const { startMockReactionServer } = require('./mock-reaction-server');
+
+const NAMES = ['LocalReactionStore', 'HttpReactionStore', 'RateLimiter', 'VisitorReactions'];
+
+// Objects made inside the VM have the VM's Object.prototype; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('RateLimiter allows `limit` actions per interval', () => {
+  const { RateLimiter } = loadBrowserScript('reactions.js', NAMES);
+  const limiter = new RateLimiter(3, 1000);
+
+  assert.equal(limiter.tryTake(0), true);
+  assert.equal(limiter.tryTake(100), true);
+  assert.equal(limiter.tryTake(200), true);
+  assert.equal(limiter.tryTake(300), false);
+  // The first action has left the window
+  assert.equal(limiter.tryTake(1000), true);
+  assert.equal(limiter.tryTake(1001), false);
+});
+
+test('LocalReactionStore keeps counts in localStorage and never goes below zero', async () => {
+  const { LocalReactionStore, context } = loadBrowserScript('reactions.js', NAMES);
+  const store = new LocalReactionStore();
+
+  assert.deepEqual(plain(await store.getCounts('014')), {});
+  assert.deepEqual(plain(await store.addReaction('014', 'heart')), { heart: 1 });
+  assert.deepEqual(plain(await store.addReaction('014', 'heart')), { heart: 2 });
+  assert.deepEqual(plain(await store.removeReaction('014', 'wow')), { heart: 2, wow: 0 });
+
+  // A new store on the same storage sees the same counts
+  assert.deepEqual(plain(await new LocalReactionStore().getCounts('014')), { heart: 2, wow: 0 });
+  assert.match(context.localStorage.getItem('solidaariset:reaction-counts'), /"014"/);
+});
+
+test('HttpReactionStore reads and changes counts on the server', async (t) => {
+  const mock = await startMockReactionServer();
+  t.after(() => mock.close());
+
+  const { HttpReactionStore } = loadBrowserScript('reactions.js', NAMES);
+  const store = new HttpReactionStore(`${mock.url}/`);
+
+  assert.deepEqual(await store.getCounts('014'), {});
+  assert.deepEqual(await store.addReaction('014', 'heart'), { heart: 1 });
+  assert.deepEqual(await store.addReaction('014', 'clap'), { heart: 1, clap: 1 });
+  assert.deepEqual(await store.removeReaction('014', 'heart'), { heart: 0, clap: 1 });
+  assert.deepEqual(await store.getCounts('014'), { heart: 0, clap: 1 });
+  assert.deepEqual(mock.counts.get('014'), { heart: 0, clap: 1 });
+});
+
+test('HttpReactionStore rejects when the server refuses a change', async (t) => {
+  const mock = await startMockReactionServer({ limit: 1 });
+  t.after(() => mock.close());
+
+  const { HttpReactionStore } = loadBrowserScript('reactions.js', NAMES);
+  const store = new HttpReactionStore(mock.url);
+
+  await store.addReaction('001', 'smile');
+  await assert.rejects(store.addReaction('001', 'smile'), /failed with 429/);
+  await assert.rejects(store.addReaction('001', 'unknown'), /failed with 400/);
+  assert.deepEqual(await store.getCounts('001'), { smile: 1 });
+});
+
+// Long enough for the debounced commit and the request to the mock server
+const settle = () => new Promise(resolve => setTimeout(resolve, 150));
+
+// A deck with one card and its reaction buttons, as much of the DOM as VisitorReactions touches
+function loadReactionBar(paintingId = '014') {
+  const status = { textContent: '' };
+  const buttons = ['heart', 'wow'].map(reaction => {
+    const count = { textContent: '0' };
+    const attributes = {};
+    return {
+      dataset: { reaction },
+      setAttribute: (name, value) => { attributes[name] = value; },
+      querySelector: () => count,
+      closest: selector => (selector === '[data-reaction]' ? buttons.find(button => button.dataset.reaction === reaction) : slide),
+      pressed: () => attributes['aria-pressed'],
+      count: () => count.textContent
+    };
+  });
+  const slide = { dataset: { paintingId }, querySelectorAll: () => buttons };
+
+  const container = new EventTarget();
+  const deck = { container, carousel: new EventTarget(), slides: [slide], allSlides: [slide], currentSlide: 0 };
+  const script = loadBrowserScript('reactions.js', NAMES, {
+    t: key => key,
+    getLanguage: () => 'fi',
+    // Failed saves are expected here
+    console: { ...console, warn() {} },
+    document: { querySelector: selector => (selector === '[data-reactions-status]' ? status : null) }
+  });
+
+  const click = reaction => {
+    const event = new Event('click');
+    Object.defineProperty(event, 'target', { value: buttons.find(button => button.dataset.reaction === reaction) });
+    container.dispatchEvent(event);
+  };
+
+  return { ...script, deck, status, click, heart: buttons[0] };
+}
+
+function startReactions(t, page, store) {
+  const reactions = new page.VisitorReactions(page.deck, store);
+  reactions.debounceDelay = 20;
+  // Announcements stay up for seconds; the test needn't wait for them to go
+  t.after(() => clearTimeout(reactions.announceTimeout));
+  return reactions;
+}
+
+test('VisitorReactions shows a reaction at once and sends only where the visitor ends up', async (t) => {
+  const mock = await startMockReactionServer();
+  t.after(() => mock.close());
+
+  const page = loadReactionBar();
+  const store = new page.HttpReactionStore(mock.url);
+  const requests = [];
+  const addReaction = store.addReaction.bind(store);
+  store.addReaction = (...args) => {
+    requests.push(args);
+    return addReaction(...args);
+  };
+  startReactions(t, page, store);
+  await settle();
+
+  // On, off and on again within the debounce: shown straight away, sent once
+  page.click('heart');
+  assert.equal(page.heart.pressed(), 'true');
+  assert.equal(page.heart.count(), '1');
+  page.click('heart');
+  page.click('heart');
+  await settle();
+
+  assert.deepEqual(plain(requests), [['014', 'heart']]);
+  assert.deepEqual(mock.counts.get('014'), { heart: 1 });
+  assert.match(page.context.localStorage.getItem('solidaariset:my-reactions'), /"014":\["heart"\]/);
+
+  // Back where the server already is: nothing to send
+  page.click('heart');
+  page.click('heart');
+  await settle();
+  assert.equal(requests.length, 1);
+  assert.equal(page.heart.pressed(), 'true');
+});
+
+test('VisitorReactions takes a reaction back when the server refuses it', async (t) => {
+  const mock = await startMockReactionServer({ limit: 0 });
+  t.after(() => mock.close());
+
+  const page = loadReactionBar();
+  startReactions(t, page, new page.HttpReactionStore(mock.url));
+  await settle();
+
+  page.click('heart');
+  assert.equal(page.heart.count(), '1');
+  await settle();
+
+  assert.equal(page.heart.pressed(), 'false');
+  assert.equal(page.heart.count(), '0');
+  assert.equal(page.status.textContent, 'reactions.failed');
+  assert.equal(page.context.localStorage.getItem('solidaariset:my-reactions'), '{}');
+});
+
+test('VisitorReactions takes a reaction back when the network fails', async (t) => {
+  // A port nothing listens on any more
+  const closed = await startMockReactionServer();
+  await closed.close();
+
+  const page = loadReactionBar();
+  const reactions = startReactions(t, page, new page.HttpReactionStore(closed.url));
+  await settle();
+
+  page.click('wow');
+  await settle();
+
+  assert.equal(reactions.hasReacted('014', 'wow'), false);
+  assert.equal(page.status.textContent, 'reactions.failed');
+
+  // The next try is sent again rather than taken as already done
+  page.status.textContent = '';
+  page.click('wow');
+  await settle();
+  assert.equal(reactions.hasReacted('014', 'wow'), false);
+  assert.equal(page.status.textContent, 'reactions.failed');
+});
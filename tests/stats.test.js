@@ -0,0 +1,200 @@
+/**
+ * Engagement statistics: what stats.js records and sends, and how admin/stats.js adds it up
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScript, CustomEvent } = require('./load-browser-script');
+const { startMockStatsCollector } = require('./mock-stats-collector');
+
+const NAMES = ['EngagementStats', 'createEngagementStats'];
+
+// A page with a deck: the document can be hidden, the beacon really posts to the collector
+function loadStats({ endpoint = '', navigator = {} } = {}) {
+  const document = new EventTarget();
+  document.hidden = false;
+  document.querySelector = selector => (selector === 'meta[name="stats-endpoint"]' ? { content: endpoint } : null);
+
+  const sent = [];
+  const beaconNavigator = {
+    sendBeacon(url, body) {
+      sent.push(fetch(url, { method: 'POST', body }));
+      return true;
+    },
+    ...navigator
+  };
+
+  const window = new EventTarget();
+  const script = loadBrowserScript('stats.js', NAMES, { EventTarget, CustomEvent, document, window, navigator: beaconNavigator });
+  const deck = { carousel: new EventTarget() };
+
+  return {
+    ...script,
+    deck,
+    document,
+    window,
+    // Wait for the beacons to arrive
+    delivered: () => Promise.all(sent.splice(0)),
+    slideChange: (id, source) => deck.carousel.dispatchEvent(new CustomEvent('slidechange', { detail: { slide: slide(id), source } })),
+    dwell: (id, duration, source) => deck.carousel.dispatchEvent(new CustomEvent('dwell', { detail: { slide: slide(id), duration, source } })),
+    lightbox: id => deck.carousel.dispatchEvent(new CustomEvent('lightboxopen', { detail: { slide: slide(id) } })),
+    hide() {
+      document.hidden = true;
+      document.dispatchEvent(new Event('visibilitychange'));
+    }
+  };
+}
+
+// Tour intro cards have no painting id
+const slide = id => ({ dataset: id ? { paintingId: id } : {} });
+
+test('views, autoplay, dwell and lightbox opens reach the collector when the page is hidden', async (t) => {
+  const collector = await startMockStatsCollector();
+  t.after(() => collector.close());
+
+  const page = loadStats({ endpoint: collector.url });
+  assert.ok(page.createEngagementStats(page.deck));
+
+  page.dwell('001', 3000.4, 'initial');
+  page.slideChange('002', 'autoplay');
+  page.dwell('002', 4000, 'autoplay');
+  page.slideChange('003', 'user');
+  page.lightbox('003');
+  page.slideChange(null, 'user');
+  assert.equal(collector.batches.length, 0, 'nothing is sent before the page is hidden');
+
+  page.hide();
+  await page.delivered();
+
+  assert.equal(collector.batches.length, 1);
+  const [batch] = collector.batches;
+  assert.equal(batch.version, 1);
+  assert.match(batch.day, /^\d{4}-\d{2}-\d{2}$/);
+  assert.deepEqual(batch.events, [
+    { type: 'dwell', id: '001', ms: 3000, source: 'initial' },
+    { type: 'autoplay', id: '002' },
+    { type: 'dwell', id: '002', ms: 4000, source: 'autoplay' },
+    { type: 'view', id: '003', source: 'user' },
+    { type: 'lightbox', id: '003' }
+  ]);
+});
+
+test('batches carry only the artwork, what happened and the day', async (t) => {
+  const collector = await startMockStatsCollector();
+  t.after(() => collector.close());
+
+  const page = loadStats({ endpoint: collector.url });
+  page.createEngagementStats(page.deck);
+  page.slideChange('014', 'history');
+  page.dwell('014', 1200, 'history');
+  page.window.dispatchEvent(new Event('pagehide'));
+  await page.delivered();
+
+  const [batch] = collector.batches;
+  assert.deepEqual(Object.keys(batch).sort(), ['day', 'events', 'version']);
+  batch.events.forEach(event => {
+    Object.keys(event).forEach(key => assert.ok(['type', 'id', 'source', 'ms'].includes(key), `unexpected field ${key}`));
+  });
+});
+
+test('a full batch goes straight away and an empty queue sends nothing', async (t) => {
+  const collector = await startMockStatsCollector();
+  t.after(() => collector.close());
+
+  const page = loadStats();
+  const stats = new page.EngagementStats(page.deck, collector.url, { batchSize: 3 });
+
+  page.slideChange('001', 'user');
+  page.slideChange('002', 'user');
+  assert.equal(stats.queue.length, 2);
+  page.slideChange('003', 'user');
+  assert.equal(stats.queue.length, 0);
+
+  page.hide();
+  page.window.dispatchEvent(new Event('pagehide'));
+  await page.delivered();
+
+  assert.equal(collector.batches.length, 1);
+  assert.deepEqual(collector.batches[0].events.map(event => event.id), ['001', '002', '003']);
+});
+
+test('cards a filter brings to the top are not views', () => {
+  const page = loadStats();
+  const stats = new page.EngagementStats(page.deck, 'http://127.0.0.1/stats');
+
+  // Typing "kissa": each debounced keystroke puts the first match on top
+  page.slideChange('014', 'filter');
+  page.slideChange('027', 'filter');
+  page.slideChange('027', 'user');
+  assert.deepEqual(JSON.parse(JSON.stringify(stats.queue)), [{ type: 'view', id: '027', source: 'user' }]);
+});
+
+test('going back to the card the last shuffled visit ended on is not a view', () => {
+  const page = loadStats();
+  const stats = new page.EngagementStats(page.deck, 'http://127.0.0.1/stats');
+
+  page.slideChange('042', 'restore');
+  assert.equal(stats.queue.length, 0);
+});
+
+test('dwell events without time on top are not recorded', () => {
+  const page = loadStats();
+  const stats = new page.EngagementStats(page.deck, 'http://127.0.0.1/stats');
+
+  page.dwell('001', 0, 'user');
+  assert.equal(stats.queue.length, 0);
+});
+
+test('no collector, Do Not Track or Global Privacy Control turns collection off', () => {
+  const none = loadStats();
+  assert.equal(none.createEngagementStats(none.deck), null);
+
+  const dnt = loadStats({ endpoint: 'http://127.0.0.1/stats', navigator: { doNotTrack: '1' } });
+  assert.equal(dnt.createEngagementStats(dnt.deck), null);
+
+  const gpc = loadStats({ endpoint: 'http://127.0.0.1/stats', navigator: { globalPrivacyControl: true } });
+  assert.equal(gpc.createEngagementStats(gpc.deck), null);
+});
+
+test('the report adds up an export per artwork', async (t) => {
+  const collector = await startMockStatsCollector();
+  t.after(() => collector.close());
+
+  const page = loadStats({ endpoint: collector.url });
+  page.createEngagementStats(page.deck);
+  page.slideChange('001', 'autoplay');
+  page.dwell('001', 5000, 'autoplay');
+  page.slideChange('002', 'user');
+  page.dwell('002', 2000, 'user');
+  page.slideChange('002', 'history');
+  page.dwell('002', 6000, 'history');
+  page.slideChange('002', 'user');
+  page.dwell('002', 3000, 'user');
+  page.lightbox('002');
+  page.slideChange('003', 'filter');
+  page.dwell('003', 400, 'filter');
+  page.hide();
+  await page.delivered();
+
+  // What admin/stats.html reads: the collector's export, plus a line that isn't a batch
+  const exported = `${await (await fetch(collector.url)).text()}not json\n`;
+
+  const { parseStatsExport, aggregateStats } = loadBrowserScript('admin/stats.js', ['parseStatsExport', 'aggregateStats'], {
+    document: { title: '', addEventListener() {} }
+  });
+  const { batches, skipped } = parseStatsExport(exported);
+  assert.equal(batches.length, 1);
+  assert.equal(skipped, 1);
+
+  const { works, totals, days } = JSON.parse(JSON.stringify(aggregateStats(batches)));
+  assert.deepEqual(totals, { views: 3, manual: 2, autoplay: 1, lightbox: 1 });
+  assert.deepEqual(days, [collector.batches[0].day]);
+  assert.deepEqual(works, [
+    // Only chosen views count towards dwell time
+    { id: '002', views: 3, autoplay: 0, lightbox: 1, medianDwell: 3000, totalDwell: 11000 },
+    { id: '001', views: 0, autoplay: 1, lightbox: 0, medianDwell: 0, totalDwell: 0 }
+  ]);
+});
@@ -0,0 +1,181 @@
+/**
+ * Catalogue checker (tools/validate-catalogue.js)
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { validateCatalogue, normalizeName, isNameVariant } = require('../tools/validate-catalogue');
+
+const IMAGES = ['001.jpg', '001_desc.jpg', '002.jpg', '002_desc.jpg'];
+
+const lines = entries => entries.map(entry => JSON.stringify(entry)).join('\n');
+const messages = (issues, level) => issues.filter(issue => issue.level === level).map(issue => `${issue.line}: ${issue.message}`);
+
+const GOOD = [
+  { image: '001.jpg', descriptionImage: '001_desc.jpg', title: 'Ilo', painter: 'Miisa', description: '', tags: ['tunteet'] },
+  { image: '002.jpg', descriptionImage: '002_desc.jpg', title: 'Lilja', painter: 'Abdu', description: '', translations: { en: { title: 'Lily' } } }
+];
+
+test('a clean catalogue has no issues', () => {
+  assert.deepEqual(validateCatalogue(lines(GOOD), { images: IMAGES, tagLabels: ['tunteet'] }), []);
+});
+
+test('unreadable lines and wrong field types are errors', () => {
+  const text = [
+    lines(GOOD),
+    '{"image": "003.jpg",',
+    JSON.stringify({ image: '../secret.jpg', title: 7, artists: 'Abdu', tags: ['Luonto'], hidden: 'yes', translations: { de: { title: 'Freude' }, en: { title: 1 } } })
+  ].join('\n');
+
+  const errors = messages(validateCatalogue(text, { images: IMAGES }), 'error');
+
+  assert.match(errors[0], /^3: invalid JSON/);
+  assert.deepEqual(errors.slice(1).filter(message => message.startsWith('4:')).map(message => message.slice(3)), [
+    '"title" must be a string',
+    '"image" must be a file name in paintings/, got "../secret.jpg"',
+    '"artists" must be a list of names',
+    '"tags" must be a list of lowercase tag ids such as "luonto"',
+    '"hidden" must be true or false',
+    '"translations" has an unsupported language "de"',
+    '"translations.en.title" must be a string',
+    'paintings/../secret.jpg does not exist'
+  ]);
+});
+
+test('entries must point at existing images, and ids and images must be unique', () => {
+  const text = lines([
+    ...GOOD,
+    { image: '003.jpg', descriptionImage: '003_desc.jpg', title: 'Puu', painter: 'Toni' },
+    { image: '001.jpg', id: '002', title: 'Toinen', painter: 'Toni' }
+  ]);
+
+  assert.deepEqual(messages(validateCatalogue(text, { images: IMAGES }), 'error'), [
+    '3: paintings/003.jpg does not exist',
+    '3: paintings/003_desc.jpg does not exist',
+    '4: duplicate id "002" (also on line 2)',
+    '4: paintings/001.jpg is also used on line 1'
+  ]);
+});
+
+test('orphaned images and unused description photos are reported', () => {
+  const text = lines([{ image: '001.jpg', title: 'Ilo', painter: 'Miisa' }]);
+  const warnings = messages(validateCatalogue(text, { images: IMAGES }), 'warning');
+
+  assert.deepEqual(warnings, [
+    '1: no "descriptionImage" although paintings/001_desc.jpg exists',
+    'null: paintings/001_desc.jpg is not used by any entry',
+    'null: paintings/002.jpg is not used by any entry',
+    'null: paintings/002_desc.jpg is not used by any entry'
+  ]);
+});
+
+test('empty titles and painters, unknown fields and unlabelled tags are warnings', () => {
+  const text = lines([
+    { image: '001.jpg', descriptionImage: '001_desc.jpg', title: '', painter: ' ', tags: ['kesa'] },
+    { image: '002.jpg', descriptionImage: '002_desc.jpg', title: 'Lilja', painter: 'Abdu', painer: 'Abdu' }
+  ]);
+  const issues = validateCatalogue(text, { images: IMAGES, tagLabels: ['luonto'] });
+
+  assert.deepEqual(messages(issues, 'error'), []);
+  assert.deepEqual(messages(issues, 'warning'), [
+    '1: empty "title"',
+    '1: empty "painter"',
+    '1: tag "kesa" has no tag.kesa label in i18n.js',
+    '2: unknown field "painer"'
+  ]);
+});
+
+test('a recorded consent says yes or no to each part and may have a withdrawal date', () => {
+  const text = lines([
+    { ...GOOD[0], consent: { image: true, name: false, descriptionImage: false, withdrawal: '2026-06-30' } },
+    { ...GOOD[1], consent: { image: 'yes', name: true, withdrawal: '2026-02-30', until: '2027-01-01' } }
+  ]);
+  const issues = validateCatalogue(text, { images: IMAGES, tagLabels: ['tunteet'] });
+
+  assert.deepEqual(messages(issues, 'error'), [
+    '2: "consent.image" must be true or false',
+    '2: "consent.descriptionImage" must be true or false',
+    '2: "consent.withdrawal" must be a date such as "2026-06-30"'
+  ]);
+  assert.deepEqual(messages(issues, 'warning'), ['2: "consent" has an unknown field "until"']);
+});
+
+test('a withheld name mustn\'t turn up in the title or description', () => {
+  const text = lines([
+    { ...GOOD[0], painter: 'Miisa', description: 'Miisan maalaus ystävyydestä', consent: { image: true, name: false, descriptionImage: true } },
+    { ...GOOD[1], painter: 'Juuso', translations: { en: { description: 'A painting by Juuso' } }, consent: { image: true, name: false, descriptionImage: true } },
+    { ...GOOD[1], image: '003.jpg', id: '003', painter: 'Juuso', description: 'Juuson kissa', consent: { image: true, name: true, descriptionImage: true } }
+  ]);
+
+  assert.deepEqual(messages(validateCatalogue(text, { images: IMAGES }), 'warning').filter(message => message.includes('consent.name')), [
+    '1: "description" names the artist ("miisa") although "consent.name" is false',
+    '2: "translations.en.description" names the artist ("juuso") although "consent.name" is false'
+  ]);
+});
+
+test('likely duplicates: the same title and painter, or the same photo twice', () => {
+  const text = lines([
+    { image: '001.jpg', descriptionImage: '001_desc.jpg', title: 'Nikola', painter: 'Juuso' },
+    { image: '002.jpg', descriptionImage: '002_desc.jpg', title: 'nikola ', painter: 'Juuso' }
+  ]);
+  const imageHashes = new Map([['001.jpg', 'a'], ['002.jpg', 'a'], ['001_desc.jpg', 'b'], ['002_desc.jpg', 'c']]);
+
+  assert.deepEqual(messages(validateCatalogue(text, { images: IMAGES, imageHashes }), 'warning'), [
+    '2: likely duplicate of line 1: same title "nikola " and painter "Juuso"',
+    '2: paintings/002.jpg is the same photo as paintings/001.jpg (line 1)'
+  ]);
+});
+
+test('name variants: typos in credits and near-identical artist names', () => {
+  const text = lines([
+    { image: '001.jpg', descriptionImage: '001_desc.jpg', title: 'Ilo', painter: 'taitelija', artists: ['taiteilija'] },
+    { image: '002.jpg', descriptionImage: '002_desc.jpg', title: 'Kissa', painter: 'Melisa' },
+    { image: '003.jpg', title: 'Heppuja', painter: 'Melissa & Anni', artists: ['Melissa', 'Anni'] }
+  ]);
+
+  assert.deepEqual(messages(validateCatalogue(text, { images: [...IMAGES, '003.jpg'] }), 'warning'), [
+    '1: "painter" "taitelija" differs from its artist "taiteilija"; check the spelling',
+    '3: artist "Melissa" looks like a variant of "Melisa" (line 2); if they are the same person, use one spelling in "artists"'
+  ]);
+});
+
+test('name matching ignores case, accents and punctuation but not different short names', () => {
+  assert.equal(normalizeName('  Kesä T.L. '), 'kesa tl');
+  assert.equal(isNameVariant('TL', 'T.L.'), true);
+  assert.equal(isNameVariant('Melisa', 'Melissa'), true);
+  assert.equal(isNameVariant('Eliel Nikola', 'Eliel Nikkola'), true);
+  assert.equal(isNameVariant('Miisa', 'Milja'), false);
+  assert.equal(isNameVariant('Anni', 'Ali'), false);
+  assert.equal(isNameVariant('Abdu', 'Abdu'), false);
+});
+
+test('the command exits non-zero on errors, and on warnings with --strict', () => {
+  const script = path.join(__dirname, '..', 'tools', 'validate-catalogue.js');
+  const run = (...args) => spawnSync(process.execPath, [script, ...args], { encoding: 'utf8' });
+
+  // The real catalogue must never have errors; warnings are for people to look at
+  const normal = run();
+  assert.equal(normal.status, 0, normal.stdout);
+  assert.match(normal.stdout, /^0 errors, \d+ warnings?$/m);
+
+  const issues = JSON.parse(run('--json').stdout);
+  assert.ok(issues.every(issue => issue.level === 'warning'));
+  assert.equal(run('--strict').status, issues.length > 0 ? 1 : 0);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalogue-'));
+  const broken = path.join(dir, 'painting_list.jsonl');
+  fs.writeFileSync(broken, '{"image": "001.jpg", "title": "Ilo", "painter": "Miisa"}\n{"image": "999.jpg"}\n');
+
+  const failed = run('--catalogue', broken);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  assert.equal(failed.status, 1);
+  assert.match(failed.stdout, /painting_list\.jsonl:2: error: paintings\/999\.jpg does not exist/);
+});
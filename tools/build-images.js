@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Image pipeline for the Solidarity Project exhibition
+ * Writes resized AVIF/WebP variants (the smallest doubles as the thumbnail) of every
+ * JPEG in paintings/ the catalogue publishes today to paintings/variants/, plus a manifest
+ * the site reads at runtime. Hidden and withdrawn works and description photos without
+ * consent get none, so they can't end up in the deployed site.
+ *
+ * Usage: node tools/build-images.js [--force]
+ * Requires ImageMagick with WebP and AVIF support: version 7's `magick`, or version 6's
+ * `convert` as Ubuntu packages it. The output isn't committed: .github/workflows/deploy.yml
+ * runs this before every deploy.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT, publicPainting, publishedImages, readCatalogue } = require('./catalogue');
+
+const PAINTINGS_DIR = path.join(ROOT, 'paintings');
+const OUTPUT_DIR = path.join(PAINTINGS_DIR, 'variants');
+const MANIFEST_PATH = path.join(OUTPUT_DIR, 'manifest.json');
+
+const WIDTHS = [320, 640, 960, 1280];
+const FORMATS = [
+  { name: 'avif', quality: 55 },
+  { name: 'webp', quality: 78 }
+];
+
+// ImageMagick 7's command, or ImageMagick 6's; main() sets it with findMagick()
+let magickCommand = null;
+
+function magick(args) {
+  return execFileSync(magickCommand, args, { encoding: 'utf8' });
+}
+
+function findMagick() {
+  return ['magick', 'convert'].find(command => {
+    try {
+      execFileSync(command, ['-version'], { stdio: 'ignore' });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// Formats this ImageMagick can't write, from its `-list format` table (" AVIF  HEIC  rw+  ...")
+function missingFormats() {
+  const table = magick(['-list', 'format']);
+  return FORMATS
+    .map(format => format.name)
+    .filter(name => !new RegExp(`^\\s*${name}\\*?\\s+\\S+\\s+rw`, 'im').test(table));
+}
+
+// As displayed: a photo rotated by its EXIF orientation has width and height swapped
+function readDimensions(file) {
+  const [width, height] = magick([`${file}[0]`, '-auto-orient', '-format', '%w %h', 'info:']).trim().split(' ').map(Number);
+  return { width, height };
+}
+
+// Up-to-date variants are kept unless --force is given
+function isFresh(source, target) {
+  return fs.existsSync(target) && fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+function buildVariants(file, force) {
+  const source = path.join(PAINTINGS_DIR, file);
+  const base = path.basename(file, path.extname(file));
+  const { width, height } = readDimensions(source);
+
+  // Never upscale; images narrower than the smallest width still get one variant
+  let widths = WIDTHS.filter(w => w <= width);
+  if (widths.length === 0) widths = [width];
+
+  const variants = {};
+
+  FORMATS.forEach(format => {
+    variants[format.name] = widths;
+
+    widths.forEach(w => {
+      const target = path.join(OUTPUT_DIR, `${base}-${w}.${format.name}`);
+      if (!force && isFresh(source, target)) return;
+
+      magick([source, '-auto-orient', '-strip', '-resize', `${w}x`, '-quality', String(format.quality), target]);
+      console.log(`  ${path.relative(ROOT, target)}`);
+    });
+  });
+
+  return { width, height, variants };
+}
+
+function main() {
+  const force = process.argv.includes('--force');
+
+  magickCommand = findMagick();
+  if (!magickCommand) {
+    console.error('ImageMagick (`magick`, or `convert` from version 6) is required to build image variants.');
+    process.exit(1);
+  }
+
+  const missing = missingFormats();
+  if (missing.length > 0) {
+    console.error(`This ImageMagick can't write ${missing.join(' or ').toUpperCase()}; install its delegates (e.g. libheif with an AV1 encoder for AVIF).`);
+    process.exit(1);
+  }
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const published = new Set(publishedImages(readCatalogue().paintings.map(painting => publicPainting(painting)).filter(Boolean)));
+  const files = fs.readdirSync(PAINTINGS_DIR)
+    .filter(file => /\.jpe?g$/i.test(file) && published.has(file))
+    .sort();
+
+  const images = {};
+  files.forEach(file => {
+    console.log(file);
+    images[file] = buildVariants(file, force);
+  });
+
+  const manifest = {
+    directory: 'paintings/variants',
+    images
+  };
+
+  fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(ROOT, MANIFEST_PATH)} (${files.length} images)`);
+}
+
+main();
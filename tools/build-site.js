@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Static pages for the Solidarity Project exhibition
+ * Writes teos/<id>/index.html for every artwork in painting_list.jsonl that isn't
+ * hidden, may be shown (see "consent") and whose image exists, with OpenGraph/Twitter
+ * meta and schema.org VisualArtwork data, and regenerates sitemap.xml from those pages.
+ *
+ * Each page is index.html with the artwork pre-rendered in the deck, so crawlers and
+ * link previews see it; in the browser carousel.js replaces it with the full CardDeck
+ * opened on that artwork.
+ *
+ * Usage: node tools/build-site.js [--base-url https://example.org/]
+ * The base URL defaults to the domain in CNAME. teos/ is build output and isn't
+ * committed: the deploy workflow builds it on every push and every night, so the pages
+ * follow index.html, the catalogue and consent withdrawal dates. Run it locally to
+ * preview them; tools/consent-report.js lists local pages that have gone stale.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, escapeHtml, publicPainting, readCatalogue } = require('./catalogue');
+
+const TEMPLATE_PATH = path.join(ROOT, 'index.html');
+const PAGES_DIR = path.join(ROOT, 'teos');
+const SITEMAP_PATH = path.join(ROOT, 'sitemap.xml');
+const IMAGE_MANIFEST_PATH = path.join(ROOT, 'paintings', 'variants', 'manifest.json');
+
+const SITE_NAME = 'Solidaariset nuoret';
+const UNTITLED = 'Nimetön';
+const GENERATED_NOTICE = '<!-- Generated by tools/build-site.js from index.html and painting_list.jsonl; do not edit -->';
+
+function readBaseUrl() {
+  const flag = process.argv.indexOf('--base-url');
+  if (flag !== -1 && process.argv[flag + 1]) {
+    return process.argv[flag + 1].replace(/\/*$/, '/');
+  }
+
+  const domain = fs.readFileSync(path.join(ROOT, 'CNAME'), 'utf8').trim();
+  return `https://${domain}/`;
+}
+
+// Width and height from a JPEG's start-of-frame marker
+function jpegSize(file) {
+  const data = fs.readFileSync(file);
+  let offset = 2;
+
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+function imageSize(painting, manifest) {
+  const entry = manifest && manifest.images[painting.image];
+  if (entry) return { width: entry.width, height: entry.height };
+
+  return /\.jpe?g$/i.test(painting.image) ? jpegSize(path.join(ROOT, 'paintings', painting.image)) : null;
+}
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(IMAGE_MANIFEST_PATH, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function altText(painting) {
+  if (painting.alt) return painting.alt;
+  if (painting.title && painting.painter) return `Taideteos ”${painting.title}”, tekijä ${painting.painter}`;
+  if (painting.title) return `Taideteos ”${painting.title}”`;
+  if (painting.painter) return `Nimetön taideteos, tekijä ${painting.painter}`;
+  return 'Taideteos';
+}
+
+function pageDescription(painting) {
+  if (painting.description) return painting.description;
+
+  const title = painting.title || UNTITLED;
+  const credit = painting.painter ? `, tekijä ${painting.painter}` : '';
+  return `Taideteos ”${title}”${credit}. ${SITE_NAME} -virtuaalitaidenäyttely.`;
+}
+
+function structuredData(painting, { pageUrl, imageUrl, baseUrl, size }) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'VisualArtwork',
+    name: painting.title || UNTITLED,
+    url: pageUrl,
+    image: size ? { '@type': 'ImageObject', url: imageUrl, width: size.width, height: size.height } : imageUrl,
+    inLanguage: 'fi',
+    isPartOf: { '@type': 'WebSite', name: SITE_NAME, url: baseUrl }
+  };
+
+  if (painting.artists.length > 0) {
+    data.creator = painting.artists.map(name => ({ '@type': 'Person', name }));
+  }
+  if (painting.description) data.description = painting.description;
+  if (painting.tags.length > 0) data.keywords = painting.tags.join(', ');
+
+  // "</script>" inside a string would end the block early
+  return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+function headTags(painting, context) {
+  const { pageUrl, imageUrl, size } = context;
+  const title = escapeHtml(painting.title || UNTITLED);
+  const description = escapeHtml(pageDescription(painting));
+  const alt = escapeHtml(altText(painting));
+
+  const tags = [
+    `<link rel="canonical" href="${pageUrl}">`,
+    `<meta property="og:type" content="article">`,
+    `<meta property="og:site_name" content="${SITE_NAME}">`,
+    `<meta property="og:locale" content="fi_FI">`,
+    `<meta property="og:title" content="${title}">`,
+    `<meta property="og:description" content="${description}">`,
+    `<meta property="og:url" content="${pageUrl}">`,
+    `<meta property="og:image" content="${imageUrl}">`,
+    `<meta property="og:image:alt" content="${alt}">`
+  ];
+
+  if (size) {
+    tags.push(`<meta property="og:image:width" content="${size.width}">`);
+    tags.push(`<meta property="og:image:height" content="${size.height}">`);
+  }
+
+  tags.push(
+    `<meta name="twitter:card" content="summary_large_image">`,
+    `<meta name="twitter:title" content="${title}">`,
+    `<meta name="twitter:description" content="${description}">`,
+    `<meta name="twitter:image" content="${imageUrl}">`,
+    `<meta name="twitter:image:alt" content="${alt}">`,
+    `<script type="application/ld+json">\n${structuredData(painting, context)}\n</script>`
+  );
+
+  return tags.map(tag => `    ${tag}`).join('\n');
+}
+
+// A plain version of the card carousel.js builds; it is replaced as soon as the deck starts
+function prerenderedCard(painting, size) {
+  const dimensions = size ? ` width="${size.width}" height="${size.height}"` : '';
+  const artist = painting.painter ? `<p class="card-deck__artist">${escapeHtml(painting.painter)}</p>` : '';
+  const description = painting.description
+    ? `<p class="card-deck__description">${escapeHtml(painting.description)}</p>`
+    : '';
+
+  return `
+                        <div class="card-deck__card slide" data-slide data-painting-id="${escapeHtml(painting.id)}">
+                            <div class="card-deck__flipper">
+                                <div class="card-deck__face card-deck__front">
+                                    <div class="card-deck__image-wrapper">
+                                        <img src="paintings/${escapeHtml(painting.image)}" alt="${escapeHtml(altText(painting))}" class="card-deck__image"${dimensions}>
+                                        ${artist}
+                                    </div>
+                                    <div class="card-deck__info">
+                                        <h3 class="card-deck__title">${escapeHtml(painting.title || UNTITLED)}</h3>
+                                    </div>
+                                </div>
+                                <div class="card-deck__face card-deck__back" aria-hidden="true">
+                                    ${description}
+                                </div>
+                            </div>
+                        </div>
+                    `;
+}
+
+// `replace` gets the same arguments as a String.replace() callback, so "$" in catalogue text stays literal
+function replaceOnce(html, pattern, replace, what) {
+  if (!pattern.test(html)) {
+    throw new Error(`index.html: could not find ${what}`);
+  }
+  return html.replace(pattern, replace);
+}
+
+function renderPage(template, painting, context) {
+  const title = escapeHtml(`${painting.title || UNTITLED} – ${SITE_NAME}`);
+  let html = template;
+
+  // Pages live two levels down; <base> keeps every relative URL in index.html working
+  html = replaceOnce(html, /<meta charset="UTF-8">/, match => `${match}\n    ${GENERATED_NOTICE}\n    <base href="../../">`, 'the charset meta tag');
+  // Without index.html's data-i18n hook, so the page keeps its artwork's title in every language
+  html = replaceOnce(html, /<title[^>]*>[^<]*<\/title>/, () => `<title>${title}</title>`, 'the <title>');
+  // The artwork's own description, which the interface translations mustn't replace
+  html = replaceOnce(html, /<meta name="description"[^>]*>/, () => `<meta name="description" content="${escapeHtml(pageDescription(painting))}">`, 'the description meta tag');
+  html = replaceOnce(html, /\n<\/head>/, () => `\n${headTags(painting, context)}\n</head>`, '</head>');
+  html = replaceOnce(html, /<div class="card-deck" data-carousel/, match => `${match} data-initial-painting="${escapeHtml(painting.id)}"`, 'the card deck');
+  html = replaceOnce(html, /(<div class="card-deck__container" data-carousel-track[^>]*>)[\s\S]*?(<\/div>)/, (match, start, end) => `${start}${prerenderedCard(painting, context.size)}${end}`, 'the card deck track');
+
+  return html;
+}
+
+function renderSitemap(urls) {
+  const entries = urls.map(({ loc, priority }) => `    <url>
+        <loc>${loc}</loc>
+        <changefreq>yearly</changefreq>
+        <priority>${priority}</priority>
+    </url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Generated by tools/build-site.js; do not edit -->
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+function main() {
+  const baseUrl = readBaseUrl();
+  const template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+  const manifest = readManifest();
+  const { paintings, problems } = readCatalogue();
+
+  problems.forEach(problem => console.warn(`painting_list.jsonl:${problem.line}: ${problem.message}, skipping line`));
+
+  // Pages for artworks that left the catalogue must not linger
+  fs.rmSync(PAGES_DIR, { recursive: true, force: true });
+
+  const urls = [{ loc: baseUrl, priority: '1.0' }];
+  const seen = new Set();
+
+  paintings.map(painting => publicPainting(painting)).filter(Boolean).forEach(painting => {
+
+    if (seen.has(painting.id)) {
+      console.warn(`painting_list.jsonl:${painting.line}: duplicate id "${painting.id}", skipping`);
+      return;
+    }
+    seen.add(painting.id);
+
+    if (!fs.existsSync(path.join(ROOT, 'paintings', painting.image))) {
+      console.warn(`painting_list.jsonl:${painting.line}: paintings/${painting.image} does not exist, skipping`);
+      return;
+    }
+
+    const pagePath = `teos/${encodeURIComponent(painting.id)}/`;
+    const context = {
+      baseUrl,
+      pageUrl: `${baseUrl}${pagePath}`,
+      imageUrl: `${baseUrl}paintings/${encodeURIComponent(painting.image)}`,
+      size: imageSize(painting, manifest)
+    };
+
+    const file = path.join(ROOT, pagePath, 'index.html');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderPage(template, painting, context));
+
+    urls.push({ loc: context.pageUrl, priority: '0.8' });
+  });
+
+  fs.writeFileSync(SITEMAP_PATH, renderSitemap(urls));
+  console.log(`Wrote ${urls.length - 1} artwork pages to teos/ and sitemap.xml (${urls.length} URLs)`);
+}
+
+main();
@@ -0,0 +1,121 @@
+/**
+ * Catalogue reading for the Node tools
+ * Parses painting_list.jsonl the same way the site's parseCatalogue() does, but
+ * returns the problems instead of printing them so each tool can decide what to do.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const CATALOGUE_PATH = path.join(ROOT, 'painting_list.jsonl');
+
+// The site's own consent rule from consent.js, so the artwork pages and the deck can't disagree
+// (wrapped in a function, so its top-level declarations stay out of this module's globals)
+const { publishingConsent, withoutAltTexts } = vm.runInThisContext(
+  `(function () {\n${fs.readFileSync(path.join(ROOT, 'consent.js'), 'utf8')}\nreturn { publishingConsent, withoutAltTexts };\n})`,
+  { filename: 'consent.js' }
+)();
+
+// The credit of an artist who may not be named; the static pages are in Finnish
+const ANONYMOUS_ARTIST = 'Nimetön taiteilija';
+
+// The same escaping the site's escapeHtml() in i18n.js does, for pages the tools write
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "014.jpg" -> "014"
+function paintingId(entry) {
+  return entry.id || entry.image.replace(/\.[^.]+$/, '');
+}
+
+function parseCatalogueText(text) {
+  const paintings = [];
+  const problems = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const lineNumber = index + 1;
+    let entry;
+
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      problems.push({ line: lineNumber, message: `invalid JSON (${error.message})` });
+      return;
+    }
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push({ line: lineNumber, message: 'expected an object' });
+      return;
+    }
+
+    if (typeof entry.image !== 'string' || !entry.image) {
+      problems.push({ line: lineNumber, message: 'missing "image" filename' });
+      return;
+    }
+
+    paintings.push({
+      line: lineNumber,
+      id: paintingId(entry),
+      image: entry.image,
+      descriptionImage: entry.descriptionImage || '',
+      title: entry.title || '',
+      painter: entry.painter || '',
+      artists: Array.isArray(entry.artists) && entry.artists.length > 0
+        ? entry.artists.filter(name => typeof name === 'string' && name)
+        : [entry.painter].filter(Boolean),
+      description: entry.description || '',
+      alt: entry.alt || '',
+      tags: Array.isArray(entry.tags) ? entry.tags.filter(tag => typeof tag === 'string' && tag) : [],
+      hidden: entry.hidden === true,
+      translations: entry.translations && typeof entry.translations === 'object' ? entry.translations : {},
+      raw: entry
+    });
+  });
+
+  return { paintings, problems };
+}
+
+// A parsed painting as the public site shows it, or null if it's left out
+function publicPainting(painting, today) {
+  const consent = publishingConsent(painting.raw, today);
+  if (painting.hidden || !consent.image) return null;
+
+  return {
+    ...painting,
+    descriptionImage: consent.descriptionImage ? painting.descriptionImage : '',
+    painter: consent.name ? painting.painter : ANONYMOUS_ARTIST,
+    artists: consent.name ? painting.artists : [],
+    alt: consent.name ? painting.alt : '',
+    translations: consent.name ? painting.translations : withoutAltTexts(painting.translations)
+  };
+}
+
+// A public painting as a line of the deployed painting_list.jsonl, which the site parses again:
+// withheld names, alt texts and description photos aren't in the published file at all
+function publicEntry(painting) {
+  const { image, descriptionImage, title, painter, artists, description, alt, tags, translations } = painting;
+  const { id, consent } = painting.raw;
+  return { id, image, descriptionImage, title, painter, artists, description, alt, tags, translations, consent };
+}
+
+// The image files public paintings show, e.g. ["001.jpg", "001_desc.jpg"]
+function publishedImages(paintings) {
+  return paintings.flatMap(painting => [painting.image, painting.descriptionImage]).filter(Boolean);
+}
+
+function readCatalogue(file = CATALOGUE_PATH) {
+  return parseCatalogueText(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { ROOT, CATALOGUE_PATH, ANONYMOUS_ARTIST, escapeHtml, paintingId, parseCatalogueText, publishingConsent, publicPainting, publicEntry, publishedImages, readCatalogue };
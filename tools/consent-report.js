@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Publishing consent report for the Solidarity Project exhibition
+ * The works are by young people, many of them minors, so every entry in
+ * painting_list.jsonl should record what may be published:
+ *
+ *   "consent": { "image": true, "name": false, "descriptionImage": false, "withdrawal": "2026-06-30" }
+ *
+ *   image             the work may be shown at all
+ *   name              the artist's name may be shown; otherwise the credit is "Nimetön taiteilija"
+ *   descriptionImage  the handwritten description photo may be shown
+ *   withdrawal        optional; from this day on the work is left out
+ *
+ * painting_list.jsonl and paintings/ are published with the site, so the site only stops
+ * showing what consent withholds; a name or photo that must not be public at all has to
+ * be removed from them too.
+ *
+ * Entries without "consent" are still shown in full. This lists them, the works whose
+ * withdrawal date has come and the ones due within WITHDRAWAL_NOTICE_DAYS.
+ *
+ * The deck applies a withdrawal on the day, but teos/<id>/ pages and sitemap.xml only
+ * change when tools/build-site.js runs; the deploy workflow runs it every night. Pages
+ * in teos/ for works that may no longer be shown are listed as stale.
+ *
+ * Usage: node tools/consent-report.js [--strict] [--json] [--catalogue painting_list.jsonl]
+ * With --strict the exit code is 1 while any entry has no recorded consent or a page is stale.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, CATALOGUE_PATH, parseCatalogueText, publicPainting } = require('./catalogue');
+
+const PAGES_DIR = path.join(ROOT, 'teos');
+
+const WITHDRAWAL_NOTICE_DAYS = 30;
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Sort the catalogue's entries by what their consent allows, as of `today` ("2026-05-14").
+ * Returns { missing, withdrawn, upcoming, anonymous, withheldDescriptions, stalePages, problems };
+ * each list holds { line, id, title, painter, hidden } plus `withdrawal` where there is one.
+ * `pages` are the ids that have a built teos/<id>/ page; stalePages are those that shouldn't.
+ */
+function consentReport(text, today = new Date().toISOString().slice(0, 10), pages = []) {
+  const { paintings, problems } = parseCatalogueText(text);
+  const noticeUntil = addDays(today, WITHDRAWAL_NOTICE_DAYS);
+  const report = { missing: [], withdrawn: [], upcoming: [], anonymous: [], withheldDescriptions: [], stalePages: [], problems };
+
+  const shown = new Set(paintings.filter(painting => publicPainting(painting, today)).map(painting => painting.id));
+  report.stalePages = pages.filter(id => !shown.has(id)).sort();
+
+  paintings.forEach(painting => {
+    const { consent } = painting.raw;
+    const entry = { line: painting.line, id: painting.id, title: painting.title, painter: painting.painter, hidden: painting.hidden };
+
+    if (!consent || typeof consent !== 'object') {
+      report.missing.push(entry);
+      return;
+    }
+
+    if (typeof consent.withdrawal === 'string') {
+      entry.withdrawal = consent.withdrawal;
+      if (consent.withdrawal <= today) {
+        report.withdrawn.push(entry);
+      } else if (consent.withdrawal <= noticeUntil) {
+        report.upcoming.push(entry);
+      }
+    }
+
+    if (consent.name !== true) report.anonymous.push(entry);
+    if (consent.descriptionImage !== true && painting.descriptionImage) report.withheldDescriptions.push(entry);
+  });
+
+  return report;
+}
+
+function describe(entry) {
+  const title = entry.title ? `"${entry.title}"` : 'untitled';
+  const painter = entry.painter ? ` by ${entry.painter}` : ', no painter';
+  const withdrawal = entry.withdrawal ? `, withdrawal ${entry.withdrawal}` : '';
+  return `${entry.id} ${title}${painter}${withdrawal}${entry.hidden ? ' (hidden)' : ''}`;
+}
+
+function readPageIds() {
+  if (!fs.existsSync(PAGES_DIR)) return [];
+
+  return fs.readdirSync(PAGES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => decodeURIComponent(entry.name));
+}
+
+function readCataloguePath() {
+  const flag = process.argv.indexOf('--catalogue');
+  return flag !== -1 && process.argv[flag + 1] ? path.resolve(process.argv[flag + 1]) : CATALOGUE_PATH;
+}
+
+function main() {
+  const cataloguePath = readCataloguePath();
+  const report = consentReport(fs.readFileSync(cataloguePath, 'utf8'), undefined, readPageIds());
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const file = path.relative(process.cwd(), cataloguePath);
+    const sections = [
+      ['No recorded consent; shown in full until there is', report.missing],
+      ['Withdrawn; no longer shown', report.withdrawn],
+      [`Withdrawal within ${WITHDRAWAL_NOTICE_DAYS} days`, report.upcoming]
+    ];
+
+    report.problems.forEach(problem => console.log(`${file}:${problem.line}: unreadable entry (${problem.message}); run tools/validate-catalogue.js`));
+    sections.forEach(([heading, entries]) => {
+      console.log(`${heading}: ${entries.length}`);
+      entries.forEach(entry => console.log(`  ${file}:${entry.line}: ${describe(entry)}`));
+    });
+    console.log(`Artist not named: ${report.anonymous.length}; description photo withheld: ${report.withheldDescriptions.length}`);
+    if (report.stalePages.length > 0) {
+      console.log(`Stale pages, still in teos/ and sitemap.xml; run tools/build-site.js: ${report.stalePages.map(id => `teos/${id}/`).join(', ')}`);
+    }
+  }
+
+  if (process.argv.includes('--strict') && (report.missing.length > 0 || report.stalePages.length > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { consentReport };
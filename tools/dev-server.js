@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+/**
+ * Local development server for the Solidarity Project exhibition
+ * Serves the site from the repository root, plus the API the curation tool in
+ * admin/ uses to read and write painting_list.jsonl and paintings/:
+ *
+ *   GET  /api/catalogue  -> { version, entries, images, problems }
+ *   POST /api/catalogue  <- { version, entries, uploads: { "069.jpg": "<base64 JPEG>" } }
+ *
+ * Saving writes the uploaded images and the catalogue, then rebuilds the artwork
+ * pages with tools/build-site.js. `version` is a hash of the catalogue as it was
+ * loaded, so edits made by hand in the meantime aren't overwritten.
+ *
+ * Usage: node tools/dev-server.js [--port 8000]
+ * It listens on localhost only: the API writes to the working tree without any login.
+ * For the same reason it answers only requests addressed to localhost (no DNS rebinding),
+ * the API refuses other origins and saves must be application/json, which a page on
+ * another site can't send without a preflight this server never allows.
+ * The curation tool is then at http://localhost:8000/admin/
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT, CATALOGUE_PATH, parseCatalogueText } = require('./catalogue');
+
+const HOST = '127.0.0.1';
+// Host names the server answers to; anything else reached it through someone else's DNS
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const PAINTINGS_DIR = path.join(ROOT, 'paintings');
+const BUILD_SITE = path.join(__dirname, 'build-site.js');
+
+// Photos arrive base64-encoded in one request
+const MAX_BODY_BYTES = 200 * 1024 * 1024;
+
+// Names the curation tool gives images, e.g. "069.jpg" and "069_desc.jpg"
+const UPLOAD_NAME = /^\d{3,}(_desc)?\.jpg$/;
+// Any image the catalogue may point at: a plain file name inside paintings/
+const IMAGE_NAME = /^[\w-]+\.(jpe?g|png|webp)$/i;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.jsonl': 'text/plain; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readPort() {
+  const flag = process.argv.indexOf('--port');
+  const port = flag !== -1 ? Number(process.argv[flag + 1]) : 8000;
+
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    throw new Error(`Invalid port: ${process.argv[flag + 1]}`);
+  }
+  return port;
+}
+
+function isLocalHost(host) {
+  if (typeof host !== 'string') return false;
+  try {
+    return LOCAL_HOSTNAMES.includes(new URL(`http://${host}`).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Browsers send Origin with every cross-site POST and fetch; the curation tool's own is localhost
+function checkApiRequest(req) {
+  const { origin } = req.headers;
+  if (origin !== undefined && !(/^http:\/\//.test(origin) && isLocalHost(origin.slice('http://'.length)))) {
+    throw new RequestError(403, 'Requests from other origins are not allowed');
+  }
+
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (req.method === 'POST' && type !== 'application/json') {
+    throw new RequestError(415, 'Expected Content-Type: application/json');
+  }
+}
+
+function catalogueVersion(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RequestError(413, 'Request is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function readCatalogueState() {
+  const text = fs.readFileSync(CATALOGUE_PATH, 'utf8');
+  const { paintings, problems } = parseCatalogueText(text);
+
+  return {
+    version: catalogueVersion(text),
+    entries: paintings.map(painting => painting.raw),
+    problems
+  };
+}
+
+function listImages() {
+  return fs.readdirSync(PAINTINGS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isFile() && IMAGE_NAME.test(entry.name))
+    .map(entry => entry.name)
+    .sort();
+}
+
+function validateSave(body, current) {
+  if (!body || !Array.isArray(body.entries)) {
+    throw new RequestError(400, 'Expected { version, entries, uploads }');
+  }
+
+  if (current.problems.length > 0) {
+    throw new RequestError(409, 'painting_list.jsonl has lines the tool cannot read; fix them by hand first');
+  }
+
+  if (body.version !== current.version) {
+    throw new RequestError(409, 'painting_list.jsonl changed on disk after it was loaded; reload the tool');
+  }
+
+  const uploads = body.uploads || {};
+  Object.entries(uploads).forEach(([name, data]) => {
+    if (!UPLOAD_NAME.test(name) || typeof data !== 'string') {
+      throw new RequestError(400, `Unexpected upload "${name}"`);
+    }
+  });
+
+  const existing = new Set(listImages());
+  const ids = new Set();
+
+  body.entries.forEach((entry, index) => {
+    const where = `Entry ${index + 1}`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new RequestError(400, `${where}: expected an object`);
+    }
+
+    ['image', 'descriptionImage'].forEach(field => {
+      const name = entry[field];
+      if (field === 'descriptionImage' && !name) return;
+
+      if (typeof name !== 'string' || !IMAGE_NAME.test(name)) {
+        throw new RequestError(400, `${where}: "${field}" must be a file name in paintings/`);
+      }
+      if (!existing.has(name) && !(name in uploads)) {
+        throw new RequestError(400, `${where}: paintings/${name} does not exist and was not uploaded`);
+      }
+    });
+
+    const id = entry.id || entry.image.replace(/\.[^.]+$/, '');
+    if (ids.has(id)) {
+      throw new RequestError(400, `${where}: duplicate id "${id}"`);
+    }
+    ids.add(id);
+  });
+
+  return uploads;
+}
+
+// Writes to a temporary file first so a failed save never leaves half a catalogue
+function writeFileAtomic(file, data) {
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, data);
+  fs.renameSync(temporary, file);
+}
+
+function rebuildPages() {
+  try {
+    return execFileSync(process.execPath, [BUILD_SITE], { cwd: ROOT, encoding: 'utf8', stdio: 'pipe' }).trim();
+  } catch (error) {
+    return `tools/build-site.js failed: ${(error.stderr || error.message).trim()}`;
+  }
+}
+
+async function saveCatalogue(req, res) {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (error) {
+    if (error instanceof RequestError) throw error;
+    throw new RequestError(400, 'Request body is not valid JSON');
+  }
+
+  const uploads = validateSave(body, readCatalogueState());
+
+  Object.entries(uploads).forEach(([name, data]) => {
+    writeFileAtomic(path.join(PAINTINGS_DIR, name), Buffer.from(data, 'base64'));
+  });
+
+  const text = body.entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+  writeFileAtomic(CATALOGUE_PATH, text);
+
+  const uploaded = Object.keys(uploads);
+  console.log(`Saved ${body.entries.length} entries${uploaded.length > 0 ? ` and ${uploaded.join(', ')}` : ''}`);
+
+  sendJson(res, 200, {
+    version: catalogueVersion(text),
+    uploaded,
+    build: rebuildPages()
+  });
+}
+
+async function handleApi(req, res, pathname) {
+  if (pathname !== '/api/catalogue') {
+    throw new RequestError(404, 'Not found');
+  }
+
+  checkApiRequest(req);
+
+  if (req.method === 'GET') {
+    sendJson(res, 200, { ...readCatalogueState(), images: listImages() });
+  } else if (req.method === 'POST') {
+    await saveCatalogue(req, res);
+  } else {
+    throw new RequestError(405, 'Method not allowed');
+  }
+}
+
+function serveStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    throw new RequestError(405, 'Method not allowed');
+  }
+
+  let file;
+  try {
+    file = path.join(ROOT, decodeURIComponent(pathname));
+  } catch (error) {
+    throw new RequestError(400, 'Bad request');
+  }
+  if (path.relative(ROOT, file).startsWith('..')) {
+    throw new RequestError(403, 'Forbidden');
+  }
+
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    // "/admin" -> "/admin/", so the page's relative URLs resolve inside the folder
+    if (!pathname.endsWith('/')) {
+      res.writeHead(301, { Location: `${pathname}/` });
+      res.end();
+      return;
+    }
+    file = path.join(file, 'index.html');
+  }
+
+  if (!fs.existsSync(file)) {
+    throw new RequestError(404, 'Not found');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': 'no-cache'
+  });
+
+  if (req.method === 'HEAD') {
+    res.end();
+  } else {
+    fs.createReadStream(file).pipe(res);
+  }
+}
+
+async function handleRequest(req, res) {
+  try {
+    if (!isLocalHost(req.headers.host)) {
+      throw new RequestError(421, 'This server only answers to localhost');
+    }
+
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    if (pathname.startsWith('/api/')) {
+      await handleApi(req, res, pathname);
+    } else {
+      serveStatic(req, res, pathname);
+    }
+  } catch (error) {
+    const status = error instanceof RequestError ? error.status : 500;
+    if (status === 500) console.error(error);
+    if (!res.headersSent) sendJson(res, status, { error: error.message });
+  }
+}
+
+function main() {
+  const port = readPort();
+  const server = http.createServer(handleRequest);
+
+  server.listen(port, HOST, () => {
+    console.log(`Exhibition:     http://localhost:${port}/`);
+    console.log(`Curation tool:  http://localhost:${port}/admin/`);
+  });
+}
+
+main();
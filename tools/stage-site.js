@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * The published copy of the Solidarity Project exhibition
+ * Copies what visitors load into a directory of its own for the deploy workflow to upload:
+ * the pages, scripts and styles at the root, the catalogue, the images with their generated
+ * variants, and the generated artwork pages and sitemap. The tools, the tests, the local
+ * curation tool in admin/ and everything else in the repository stay out.
+ *
+ * Consent is applied here too, not only by the site's scripts: the staged painting_list.jsonl
+ * holds only the works that may be shown today, without withheld names, alt texts and
+ * description photos, and paintings/ only their images and variants.
+ *
+ * Usage: node tools/stage-site.js [directory]
+ * The directory defaults to _site/ and is emptied first. Run tools/build-images.js and
+ * tools/build-site.js before it.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, publicEntry, publicPainting, publishedImages, readCatalogue } = require('./catalogue');
+
+const DEFAULT_OUTPUT = path.join(ROOT, '_site');
+const VARIANTS_DIR = path.join('paintings', 'variants');
+
+// Every page, script and style at the root is the site's, and so are these; the tools and tests
+// live in their own directories. The catalogue and the paintings are staged separately
+const SITE_FILE = /\.(html|js|css)$/;
+const SITE_FILES = ['CNAME', 'favicon.ico', 'manifest.webmanifest', 'sitemap.xml', 'tours.jsonl'];
+const SITE_DIRECTORIES = ['other_images', 'luettelo', 'teos'];
+
+function rootFiles() {
+  return fs.readdirSync(ROOT, { withFileTypes: true })
+    .filter(entry => entry.isFile() && (SITE_FILE.test(entry.name) || SITE_FILES.includes(entry.name)))
+    .map(entry => entry.name);
+}
+
+function copy(file, output) {
+  fs.mkdirSync(path.dirname(path.join(output, file)), { recursive: true });
+  fs.copyFileSync(path.join(ROOT, file), path.join(output, file));
+}
+
+// The published images, their variants and a manifest that names nothing else
+function stagePaintings(images, output) {
+  images.forEach(image => copy(path.join('paintings', image), output));
+
+  const manifestPath = path.join(VARIANTS_DIR, 'manifest.json');
+  if (!fs.existsSync(path.join(ROOT, manifestPath))) return;
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, manifestPath), 'utf8'));
+  const entries = Object.entries(manifest.images).filter(([image]) => images.includes(image));
+
+  entries.forEach(([image, { variants }]) => {
+    const base = image.replace(/\.[^.]+$/, '');
+    Object.entries(variants).forEach(([format, widths]) => {
+      widths.forEach(width => copy(path.join(VARIANTS_DIR, `${base}-${width}.${format}`), output));
+    });
+  });
+
+  fs.writeFileSync(path.join(output, manifestPath), `${JSON.stringify({ ...manifest, images: Object.fromEntries(entries) }, null, 2)}\n`);
+}
+
+function main() {
+  const output = path.resolve(process.argv[2] || DEFAULT_OUTPUT);
+
+  // It's emptied first, so never the repository or a directory it is in
+  if (output === ROOT || !path.relative(output, ROOT).startsWith('..')) {
+    console.error(`Refusing to stage the site into ${output}`);
+    process.exit(1);
+  }
+
+  const missing = SITE_DIRECTORIES.filter(directory => !fs.existsSync(path.join(ROOT, directory)));
+  if (missing.length > 0) {
+    console.error(`Missing ${missing.join(', ')}; run tools/build-site.js first.`);
+    process.exit(1);
+  }
+
+  fs.rmSync(output, { recursive: true, force: true });
+  fs.mkdirSync(output, { recursive: true });
+
+  const files = rootFiles();
+  files.forEach(file => copy(file, output));
+  SITE_DIRECTORIES.forEach(directory => {
+    fs.cpSync(path.join(ROOT, directory), path.join(output, directory), { recursive: true });
+  });
+
+  const paintings = readCatalogue().paintings.map(painting => publicPainting(painting)).filter(Boolean);
+  fs.writeFileSync(path.join(output, 'painting_list.jsonl'), paintings.map(painting => `${JSON.stringify(publicEntry(painting))}\n`).join(''));
+
+  // A missing image is tools/validate-catalogue.js's to report; the site copes without it
+  const images = publishedImages(paintings).filter(image => fs.existsSync(path.join(ROOT, 'paintings', image)));
+  stagePaintings(images, output);
+
+  console.log(`Staged ${files.length} files, ${SITE_DIRECTORIES.join('/, ')}/ and ${paintings.length} works (${images.length} images) in ${path.relative(ROOT, output) || output}`);
+}
+
+main();
@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+/**
+ * Catalogue checker for the Solidarity Project exhibition
+ * Checks painting_list.jsonl against the entry schema and the paintings/ folder and
+ * reports likely duplicate entries and spelling variants of artist names.
+ *
+ * Errors (unreadable lines, wrong field types, missing images, clashing ids) make the
+ * exit code 1; warnings only do with --strict.
+ *
+ * Usage: node tools/validate-catalogue.js [--strict] [--json] [--catalogue painting_list.jsonl]
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, CATALOGUE_PATH, parseCatalogueText } = require('./catalogue');
+
+const PAINTINGS_DIR = path.join(ROOT, 'paintings');
+const I18N_PATH = path.join(ROOT, 'i18n.js');
+
+const LANGUAGES = ['fi', 'en', 'sv', 'ar'];
+const STRING_FIELDS = ['id', 'image', 'descriptionImage', 'title', 'painter', 'description', 'alt'];
+const KNOWN_FIELDS = [...STRING_FIELDS, 'artists', 'tags', 'hidden', 'consent', 'translations'];
+const TRANSLATED_FIELDS = ['title', 'description', 'alt'];
+// What a recorded consent has to say yes or no to; "withdrawal" is an optional date
+const CONSENT_PERMISSIONS = ['image', 'name', 'descriptionImage'];
+
+const IMAGE_NAME = /^[\w-]+\.(jpe?g|png|webp)$/i;
+const TAG_ID = /^[a-z0-9-]+$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Names this close (after normalising) are probably the same person spelled two ways:
+// one typo in short names, two in names of LONG_NAME_LENGTH letters or more
+const MIN_NAME_LENGTH = 5;
+const LONG_NAME_LENGTH = 8;
+
+// "Kesä  T.L." -> "kesa tl": case, diacritics and punctuation don't tell names apart
+function normalizeName(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function isNameVariant(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (a === b || !x || !y) return false;
+  if (x === y) return true;
+
+  const length = Math.min(x.length, y.length);
+  if (length < MIN_NAME_LENGTH) return false;
+
+  return editDistance(x, y) <= (length >= LONG_NAME_LENGTH ? 2 : 1);
+}
+
+function isBlank(value) {
+  return !String(value).trim();
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "2026-02-30" has the right shape but is no date
+function isIsoDate(value) {
+  return typeof value === 'string' && ISO_DATE.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+function checkSchema(raw, report) {
+  STRING_FIELDS.forEach(field => {
+    if (field in raw && typeof raw[field] !== 'string') {
+      report('error', `"${field}" must be a string`);
+    }
+  });
+
+  if (typeof raw.image === 'string' && !IMAGE_NAME.test(raw.image)) {
+    report('error', `"image" must be a file name in paintings/, got "${raw.image}"`);
+  }
+  if (typeof raw.descriptionImage === 'string' && raw.descriptionImage && !IMAGE_NAME.test(raw.descriptionImage)) {
+    report('error', `"descriptionImage" must be a file name in paintings/, got "${raw.descriptionImage}"`);
+  }
+  if ('id' in raw && !raw.id) {
+    report('error', '"id" must not be empty');
+  }
+
+  if ('artists' in raw && !(Array.isArray(raw.artists) && raw.artists.length > 0 && raw.artists.every(name => typeof name === 'string' && name.trim()))) {
+    report('error', '"artists" must be a list of names');
+  }
+
+  if ('tags' in raw) {
+    if (!Array.isArray(raw.tags) || !raw.tags.every(tag => typeof tag === 'string' && TAG_ID.test(tag))) {
+      report('error', '"tags" must be a list of lowercase tag ids such as "luonto"');
+    }
+  }
+
+  if ('hidden' in raw && typeof raw.hidden !== 'boolean') {
+    report('error', '"hidden" must be true or false');
+  }
+
+  if ('consent' in raw) {
+    if (!isPlainObject(raw.consent)) {
+      report('error', '"consent" must be an object such as { "image": true, "name": false, "descriptionImage": false }');
+    } else {
+      CONSENT_PERMISSIONS.forEach(field => {
+        if (typeof raw.consent[field] !== 'boolean') {
+          report('error', `"consent.${field}" must be true or false`);
+        }
+      });
+      if ('withdrawal' in raw.consent && !isIsoDate(raw.consent.withdrawal)) {
+        report('error', '"consent.withdrawal" must be a date such as "2026-06-30"');
+      }
+      Object.keys(raw.consent).filter(key => ![...CONSENT_PERMISSIONS, 'withdrawal'].includes(key)).forEach(key => {
+        report('warning', `"consent" has an unknown field "${key}"`);
+      });
+    }
+  }
+
+  // The site withholds the credit and alt texts, but titles and descriptions are shown as written
+  if (isPlainObject(raw.consent) && raw.consent.name === false) {
+    const names = [raw.painter, ...(Array.isArray(raw.artists) ? raw.artists : [])]
+      .filter(name => typeof name === 'string' && name.trim())
+      .map(name => name.trim().toLowerCase());
+    const texts = [['title', raw.title], ['description', raw.description]];
+    if (isPlainObject(raw.translations)) {
+      Object.entries(raw.translations).filter(([, translation]) => isPlainObject(translation)).forEach(([lang, translation]) => {
+        texts.push([`translations.${lang}.title`, translation.title], [`translations.${lang}.description`, translation.description]);
+      });
+    }
+
+    texts.filter(([, text]) => typeof text === 'string').forEach(([field, text]) => {
+      const name = names.find(candidate => text.toLowerCase().includes(candidate));
+      if (name) {
+        report('warning', `"${field}" names the artist ("${name}") although "consent.name" is false`);
+      }
+    });
+  }
+
+  if ('translations' in raw) {
+    if (!isPlainObject(raw.translations)) {
+      report('error', '"translations" must be an object keyed by language');
+    } else {
+      Object.entries(raw.translations).forEach(([lang, translation]) => {
+        if (!LANGUAGES.includes(lang)) {
+          report('error', `"translations" has an unsupported language "${lang}"`);
+        } else if (!isPlainObject(translation)) {
+          report('error', `"translations.${lang}" must be an object`);
+        } else {
+          Object.entries(translation).forEach(([field, value]) => {
+            if (!TRANSLATED_FIELDS.includes(field)) {
+              report('warning', `"translations.${lang}" has an unknown field "${field}"`);
+            } else if (typeof value !== 'string') {
+              report('error', `"translations.${lang}.${field}" must be a string`);
+            }
+          });
+        }
+      });
+    }
+  }
+
+  Object.keys(raw).filter(key => !KNOWN_FIELDS.includes(key)).forEach(key => {
+    report('warning', `unknown field "${key}"`);
+  });
+}
+
+/**
+ * Check catalogue text against the schema and the image folder.
+ *   images       file names in paintings/
+ *   imageHashes  optional Map of file name -> content hash, to spot the same photo saved twice
+ *   tagLabels    optional list of tag ids that have an interface label
+ * Returns [{ level: 'error' | 'warning', line, message }] in line order.
+ */
+function validateCatalogue(text, { images = [], imageHashes = null, tagLabels = null } = {}) {
+  const issues = [];
+  const { paintings, problems } = parseCatalogueText(text);
+  const imageSet = new Set(images);
+
+  problems.forEach(problem => issues.push({ level: 'error', line: problem.line, message: problem.message }));
+
+  const byId = new Map();
+  const byImage = new Map();
+
+  paintings.forEach(painting => {
+    const report = (level, message) => issues.push({ level, line: painting.line, message });
+    const { raw } = painting;
+
+    checkSchema(raw, report);
+
+    if (!imageSet.has(painting.image)) {
+      report('error', `paintings/${painting.image} does not exist`);
+    }
+    if (painting.descriptionImage && !imageSet.has(painting.descriptionImage)) {
+      report('error', `paintings/${painting.descriptionImage} does not exist`);
+    }
+
+    // "014.jpg" goes with "014_desc.jpg"
+    const expectedDescription = painting.image.replace(/(\.[^.]+)$/, '_desc$1');
+    if (!painting.descriptionImage && imageSet.has(expectedDescription)) {
+      report('warning', `no "descriptionImage" although paintings/${expectedDescription} exists`);
+    }
+
+    if (isBlank(painting.title)) report('warning', 'empty "title"');
+    if (isBlank(painting.painter)) report('warning', 'empty "painter"');
+
+    if (byId.has(painting.id)) {
+      report('error', `duplicate id "${painting.id}" (also on line ${byId.get(painting.id).line})`);
+    } else {
+      byId.set(painting.id, painting);
+    }
+
+    if (byImage.has(painting.image)) {
+      report('error', `paintings/${painting.image} is also used on line ${byImage.get(painting.image).line}`);
+    } else {
+      byImage.set(painting.image, painting);
+    }
+
+    if (tagLabels) {
+      painting.tags.filter(tag => !tagLabels.includes(tag)).forEach(tag => {
+        report('warning', `tag "${tag}" has no tag.${tag} label in i18n.js`);
+      });
+    }
+
+    // A credit that's a misspelling of its own canonical name shows the typo on the card
+    if (painting.artists.length === 1 && isNameVariant(painting.painter, painting.artists[0])) {
+      report('warning', `"painter" "${painting.painter}" differs from its artist "${painting.artists[0]}"; check the spelling`);
+    }
+  });
+
+  checkDuplicates(paintings, imageHashes, issues);
+  checkNameVariants(paintings, issues);
+
+  const referenced = new Set(paintings.flatMap(painting => [painting.image, painting.descriptionImage]));
+  images.filter(name => !referenced.has(name)).forEach(name => {
+    issues.push({ level: 'warning', line: null, message: `paintings/${name} is not used by any entry` });
+  });
+
+  return issues.sort((a, b) => (a.line || Infinity) - (b.line || Infinity));
+}
+
+// Same title and artist, or the very same photo under two names
+function checkDuplicates(paintings, imageHashes, issues) {
+  const seen = new Map();
+
+  paintings.forEach(painting => {
+    const key = `${normalizeName(painting.title)}|${normalizeName(painting.painter)}`;
+    if (isBlank(painting.title)) return;
+
+    if (seen.has(key)) {
+      const first = seen.get(key);
+      issues.push({ level: 'warning', line: painting.line, message: `likely duplicate of line ${first.line}: same title "${painting.title}" and painter "${painting.painter}"` });
+    } else {
+      seen.set(key, painting);
+    }
+  });
+
+  if (!imageHashes) return;
+
+  const byHash = new Map();
+  paintings.forEach(painting => {
+    const hash = imageHashes.get(painting.image);
+    if (!hash) return;
+
+    if (byHash.has(hash)) {
+      const first = byHash.get(hash);
+      issues.push({ level: 'warning', line: painting.line, message: `paintings/${painting.image} is the same photo as paintings/${first.image} (line ${first.line})` });
+    } else {
+      byHash.set(hash, painting);
+    }
+  });
+}
+
+// Canonical names (artists, or the painter credit) that look like spellings of each other
+function checkNameVariants(paintings, issues) {
+  const firstUse = new Map();
+  paintings.forEach(painting => {
+    painting.artists.forEach(name => {
+      if (!firstUse.has(name)) firstUse.set(name, painting.line);
+    });
+  });
+
+  const names = [...firstUse.keys()];
+  names.forEach((name, i) => {
+    names.slice(i + 1).forEach(other => {
+      if (isNameVariant(name, other)) {
+        issues.push({
+          level: 'warning',
+          line: firstUse.get(other),
+          message: `artist "${other}" looks like a variant of "${name}" (line ${firstUse.get(name)}); if they are the same person, use one spelling in "artists"`
+        });
+      }
+    });
+  });
+}
+
+function readImages() {
+  return fs.readdirSync(PAINTINGS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isFile() && IMAGE_NAME.test(entry.name))
+    .map(entry => entry.name)
+    .sort();
+}
+
+function hashImages(images) {
+  return new Map(images.map(name => [
+    name,
+    crypto.createHash('sha1').update(fs.readFileSync(path.join(PAINTINGS_DIR, name))).digest('hex')
+  ]));
+}
+
+// Tag ids with a Finnish label; Finnish is every other language's fallback
+function readTagLabels() {
+  const source = fs.readFileSync(I18N_PATH, 'utf8');
+  const finnish = source.slice(source.indexOf('fi: {'), source.indexOf('en: {'));
+  return [...finnish.matchAll(/'tag\.([a-z0-9-]+)'/g)].map(match => match[1]);
+}
+
+function readCataloguePath() {
+  const flag = process.argv.indexOf('--catalogue');
+  return flag !== -1 && process.argv[flag + 1] ? path.resolve(process.argv[flag + 1]) : CATALOGUE_PATH;
+}
+
+function main() {
+  const strict = process.argv.includes('--strict');
+  const cataloguePath = readCataloguePath();
+  const images = readImages();
+  const issues = validateCatalogue(fs.readFileSync(cataloguePath, 'utf8'), {
+    images,
+    imageHashes: hashImages(images),
+    tagLabels: readTagLabels()
+  });
+
+  const errors = issues.filter(issue => issue.level === 'error').length;
+  const warnings = issues.length - errors;
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(issues, null, 2));
+  } else {
+    const file = path.relative(process.cwd(), cataloguePath);
+    issues.forEach(issue => {
+      const where = issue.line ? `${file}:${issue.line}` : 'paintings/';
+      console.log(`${where}: ${issue.level}: ${issue.message}`);
+    });
+    console.log(`${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+  }
+
+  if (errors > 0 || (strict && warnings > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { validateCatalogue, normalizeName, editDistance, isNameVariant };
@@ -0,0 +1,271 @@
+/**
+ * Guided audio tour for the Solidarity Project exhibition
+ * Reads each artwork aloud with the Web Speech API and moves the card deck on
+ * when the narration ends, instead of on the deck's fixed autoplay timer.
+ */
+
+const TOUR_STORAGE_KEY = 'solidaariset:tour';
+
+// Pause between two artworks, so a group has a moment to look
+const TOUR_GAP = 1200;
+
+class GuidedTour {
+  constructor(element, paintings, deck) {
+    this.tour = element;
+    this.paintings = new Map(paintings.map(painting => [painting.id, painting]));
+    this.deck = deck;
+    this.synth = window.speechSynthesis;
+
+    this.toggleBtn = this.tour.querySelector('[data-tour-toggle]');
+    this.controls = this.tour.querySelector('[data-tour-controls]');
+    this.pauseBtn = this.tour.querySelector('[data-tour-pause]');
+    this.skipBtn = this.tour.querySelector('[data-tour-skip]');
+    this.voiceSelect = this.tour.querySelector('[data-tour-voice]');
+    this.rateInput = this.tour.querySelector('[data-tour-rate]');
+    this.rateOutput = this.tour.querySelector('[data-tour-rate-value]');
+
+    this.isRunning = false;
+    this.isPaused = false;
+    this.queue = [];
+    this.utterance = null;
+    this.advanceTimeout = null;
+    this.settings = this.loadSettings();
+
+    this.init();
+  }
+
+  init() {
+    // Browsers without speech synthesis simply don't offer the tour
+    if (!this.synth || !window.SpeechSynthesisUtterance || !this.toggleBtn) return;
+
+    this.tour.hidden = false;
+    this.rateInput.value = this.settings.rate;
+    this.updateRateOutput();
+    this.populateVoices();
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.toggleBtn.addEventListener('click', () => {
+      if (this.isRunning) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    });
+
+    this.pauseBtn.addEventListener('click', () => this.togglePause());
+    this.skipBtn.addEventListener('click', () => this.skip());
+
+    this.voiceSelect.addEventListener('change', () => {
+      this.settings.voice = this.voiceSelect.value;
+      this.saveSettings();
+    });
+
+    this.rateInput.addEventListener('input', () => {
+      this.settings.rate = Number(this.rateInput.value);
+      this.updateRateOutput();
+      this.saveSettings();
+    });
+
+    // Voices often arrive after page load
+    this.synth.addEventListener('voiceschanged', () => this.populateVoices());
+
+    // Whatever moved the deck (the tour itself, a click, a search), narrate the new top card
+    this.deck.carousel.addEventListener('slidechange', () => {
+      if (this.isRunning) this.narrateCurrent();
+    });
+
+    // Speech keeps going after the page is closed in some browsers
+    window.addEventListener('pagehide', () => this.stop());
+  }
+
+  // Voices for the page language first; if there are none, every voice the browser has
+  populateVoices() {
+    const lang = getLanguage();
+    const voices = this.synth.getVoices();
+    const matching = voices.filter(voice => voice.lang.toLowerCase().startsWith(lang));
+    this.voices = matching.length > 0 ? matching : voices;
+
+    // Keep the "automatic" option from the markup
+    this.voiceSelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+    this.voices.forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice.name;
+      option.textContent = `${voice.name} (${voice.lang})`;
+      this.voiceSelect.appendChild(option);
+    });
+
+    this.voiceSelect.value = this.voices.some(voice => voice.name === this.settings.voice) ? this.settings.voice : '';
+  }
+
+  start() {
+    this.isRunning = true;
+    this.isPaused = false;
+    this.deck.holdAutoplay('tour');
+    this.updateControls();
+    this.narrateCurrent();
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this.isPaused = false;
+    this.clearNarration();
+    this.deck.releaseAutoplay('tour');
+    this.deck.resumeAutoplay();
+    this.updateControls();
+  }
+
+  togglePause() {
+    if (!this.isRunning) return;
+
+    this.isPaused = !this.isPaused;
+    if (this.isPaused) {
+      clearTimeout(this.advanceTimeout);
+      this.synth.pause();
+    } else {
+      this.synth.resume();
+      // Paused in the gap between two artworks: nothing is left to resume, so move on
+      if (!this.utterance) this.advance();
+    }
+    this.updateControls();
+  }
+
+  skip() {
+    if (!this.isRunning) return;
+
+    this.isPaused = false;
+    this.updateControls();
+    this.advance();
+  }
+
+  advance() {
+    this.clearNarration();
+
+    // A moving deck ignores nextSlide() and no slidechange would follow, so try again once it settles
+    if (this.deck.isAnimating) {
+      this.advanceTimeout = setTimeout(() => this.advance(), this.deck.options.animationDuration);
+      return;
+    }
+    this.deck.nextSlide('autoplay');
+  }
+
+  clearNarration() {
+    clearTimeout(this.advanceTimeout);
+    this.queue = [];
+    this.utterance = null;
+    this.synth.cancel();
+  }
+
+  narrateCurrent() {
+    const slide = this.deck.slides[this.deck.currentSlide];
+    const painting = slide && this.paintings.get(slide.dataset.paintingId);
+
+    this.clearNarration();
+    if (!slide) {
+      this.stop();
+      return;
+    }
+
+    // Cards that aren't paintings (a curated tour's intro) are read out as they are
+    this.queue = painting ? this.narrationFor(painting) : this.narrationForCard(slide);
+    this.isPaused = false;
+    this.updateControls();
+    this.speakNext();
+  }
+
+  // Title, painter and description as short pieces: long utterances get cut off in some browsers
+  narrationFor(painting) {
+    const title = this.textIn(painting, 'title');
+    const description = this.textIn(painting, 'description');
+    const pieces = [title.text ? title : { text: t('painting.untitled'), lang: getLanguage() }];
+
+    if (painting.painter) {
+      pieces.push({ text: t('tour.by', { painter: painting.painter }), lang: getLanguage() });
+    }
+
+    (description.text.match(/[^.!?]+[.!?]*/g) || []).forEach(sentence => {
+      pieces.push({ text: sentence.trim(), lang: description.lang });
+    });
+
+    return pieces.filter(piece => piece.text);
+  }
+
+  narrationForCard(slide) {
+    return Array.from(slide.querySelectorAll('h3, p'))
+      .map(el => ({ text: el.textContent.trim(), lang: getLanguage() }))
+      .filter(piece => piece.text);
+  }
+
+  // A field in the page language and the language it really is in (untranslated text is Finnish)
+  textIn(painting, field) {
+    const lang = getLanguage();
+    const translation = painting.translations && painting.translations[lang];
+    const isTranslated = Boolean(translation && translation[field]);
+
+    return {
+      text: localizedText(painting, field) || '',
+      lang: isTranslated ? lang : DEFAULT_LANGUAGE
+    };
+  }
+
+  speakNext() {
+    const piece = this.queue.shift();
+    if (!piece) {
+      this.utterance = null;
+      this.advanceTimeout = setTimeout(() => this.advance(), TOUR_GAP);
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(piece.text);
+    utterance.lang = piece.lang;
+    utterance.rate = this.settings.rate;
+
+    // The chosen voice only fits text in the page language
+    const voice = this.voices.find(v => v.name === this.settings.voice);
+    if (voice && piece.lang === getLanguage()) utterance.voice = voice;
+
+    // Cancelled utterances still fire end/error; only the one being spoken counts
+    const done = () => {
+      if (this.utterance === utterance) this.speakNext();
+    };
+    utterance.addEventListener('end', done);
+    utterance.addEventListener('error', done);
+
+    this.utterance = utterance;
+    this.synth.speak(utterance);
+  }
+
+  updateControls() {
+    this.toggleBtn.setAttribute('aria-pressed', this.isRunning.toString());
+    this.tour.classList.toggle('tour--running', this.isRunning);
+    this.controls.hidden = !this.isRunning;
+    this.pauseBtn.setAttribute('aria-pressed', this.isPaused.toString());
+  }
+
+  updateRateOutput() {
+    if (this.rateOutput) {
+      this.rateOutput.textContent = `${Number(this.rateInput.value).toLocaleString(getLanguage())}×`;
+    }
+  }
+
+  // localStorage can throw in private browsing; the defaults are used then
+  loadSettings() {
+    const defaults = { voice: '', rate: 1 };
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem(TOUR_STORAGE_KEY)) };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(TOUR_STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      // Ignore storage errors
+    }
+  }
+}